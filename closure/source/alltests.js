@@ -12,4 +12,4 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
-var _allTests = ["ui/button_test.html", "ui/component_test.html", "ui/document_test.html", "ui/link_test.html", "ui/toggle_button_test.html", "ui/ui_test.html"];
+var _allTests = ["ui/button_test.html", "ui/component_test.html", "ui/container_test.html", "ui/dialog_test.html", "ui/document_test.html", "ui/grid_test.html", "ui/keyboard_test.html", "ui/link_test.html", "ui/list_model_test.html", "ui/pin_input_test.html", "ui/scroll_pane_test.html", "ui/suggestion_list_test.html", "ui/tab_container_test.html", "ui/toggle_button_test.html", "ui/ui_test.html"];
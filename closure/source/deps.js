@@ -1,16 +1,22 @@
 // This file was autogenerated by closure-library/closure/bin/build/depswriter.py.
 // Please do not edit.
-goog.addDependency('../../../source/ui/button.js', ['tv.ui.Button'], ['tv.ui', 'tv.ui.Component']);
-goog.addDependency('../../../source/ui/component.js', ['tv.ui.Component'], ['goog.events', 'goog.events.EventHandler', 'goog.events.EventTarget', 'goog.style', 'tv.ui', 'tv.ui.Document']);
-goog.addDependency('../../../source/ui/container.js', ['tv.ui.Container'], ['goog.dom', 'goog.dom.classes', 'goog.math.Coordinate', 'goog.style', 'goog.userAgent.product', 'tv.ui', 'tv.ui.Component']);
+goog.addDependency('../../../source/ui/button.js', ['tv.ui.Button'], ['tv.ui', 'tv.ui.Component', 'tv.ui.Document']);
+goog.addDependency('../../../source/ui/component.js', ['tv.ui.Component'], ['goog.dom', 'goog.events', 'goog.events.EventHandler', 'goog.events.EventTarget', 'goog.style', 'tv.ui', 'tv.ui.Document']);
+goog.addDependency('../../../source/ui/container.js', ['tv.ui.Container'], ['goog.Timer', 'goog.array', 'goog.dom', 'goog.dom.classes', 'goog.events', 'goog.events.Event', 'goog.events.MouseWheelHandler', 'goog.fx.Animation', 'goog.fx.easing', 'goog.i18n.bidi', 'goog.math', 'goog.math.Coordinate', 'goog.object', 'goog.style', 'tv.ui', 'tv.ui.Button', 'tv.ui.Component', 'tv.ui.Document', 'tv.ui.ListModel']);
 goog.addDependency('../../../source/ui/decorate_handler.js', ['tv.ui.DecorateHandler'], ['goog.array']);
-goog.addDependency('../../../source/ui/document.js', ['tv.ui.Document'], ['goog.events.EventHandler', 'goog.events.EventType', 'goog.events.KeyCodes', 'goog.events.KeyHandler']);
-goog.addDependency('../../../source/ui/grid.js', ['tv.ui.Grid'], ['tv.ui.Container']);
-goog.addDependency('../../../source/ui/input.js', ['tv.ui.Input'], ['goog.dom', 'goog.dom.selection', 'goog.events.InputHandler', 'tv.ui', 'tv.ui.Component']);
-goog.addDependency('../../../source/ui/lightbox.js', ['tv.ui.Lightbox'], ['tv.ui.Container']);
+goog.addDependency('../../../source/ui/dialog.js', ['tv.ui.Dialog'], ['goog.dom.classes', 'goog.events.Event', 'tv.ui', 'tv.ui.Button', 'tv.ui.Container', 'tv.ui.Document']);
+goog.addDependency('../../../source/ui/document.js', ['tv.ui.Document'], ['goog.Timer', 'goog.array', 'goog.asserts', 'goog.dom.classes', 'goog.events', 'goog.events.Event', 'goog.events.EventHandler', 'goog.events.EventType', 'goog.events.KeyCodes', 'goog.events.KeyHandler', 'tv.ui']);
+goog.addDependency('../../../source/ui/grid.js', ['tv.ui.Grid'], ['goog.array', 'goog.asserts', 'goog.dom.classes', 'goog.math.Range', 'goog.style', 'tv.ui.Container']);
+goog.addDependency('../../../source/ui/input.js', ['tv.ui.Input'], ['goog.dom', 'goog.dom.selection', 'goog.events', 'goog.events.InputHandler', 'goog.events.KeyCodes', 'tv.ui', 'tv.ui.Component']);
+goog.addDependency('../../../source/ui/keyboard.js', ['tv.ui.Keyboard'], ['goog.array', 'goog.asserts', 'goog.dom', 'goog.dom.classes', 'goog.object', 'tv.ui', 'tv.ui.Button', 'tv.ui.Container', 'tv.ui.Grid', 'tv.ui.Input']);
+goog.addDependency('../../../source/ui/lightbox.js', ['tv.ui.Lightbox'], ['tv.ui.Container', 'tv.ui.Document']);
 goog.addDependency('../../../source/ui/link.js', ['tv.ui.Link'], ['tv.ui', 'tv.ui.Button']);
+goog.addDependency('../../../source/ui/list_model.js', ['tv.ui.ListModel'], ['goog.array', 'goog.asserts', 'goog.events', 'goog.events.Event', 'goog.events.EventTarget']);
 goog.addDependency('../../../source/ui/menu.js', ['tv.ui.Menu'], ['goog.functions', 'tv.ui.Container']);
-goog.addDependency('../../../source/ui/sub_menu.js', ['tv.ui.SubMenu'], ['goog.functions', 'tv.ui.Container']);
+goog.addDependency('../../../source/ui/pin_input.js', ['tv.ui.PinInput'], ['goog.Timer', 'goog.array', 'goog.dom', 'goog.dom.classes', 'goog.events', 'tv.ui', 'tv.ui.Container', 'tv.ui.Document']);
+goog.addDependency('../../../source/ui/scroll_pane.js', ['tv.ui.ScrollPane'], ['goog.Timer', 'goog.array', 'goog.asserts', 'goog.dom.classes', 'goog.fx.Dragger', 'goog.math.Coordinate', 'goog.math.Rect', 'goog.style', 'tv.ui', 'tv.ui.Button', 'tv.ui.Component', 'tv.ui.Container', 'tv.ui.Document']);
+goog.addDependency('../../../source/ui/sub_menu.js', ['tv.ui.SubMenu'], ['goog.functions', 'tv.ui.Container', 'tv.ui.Document']);
+goog.addDependency('../../../source/ui/suggestion_list.js', ['tv.ui.SuggestionList', 'tv.ui.SuggestionList.JsonpMatcher'], ['goog.Timer', 'goog.array', 'goog.dom', 'goog.dom.classes', 'goog.events.InputHandler', 'goog.net.Jsonp', 'tv.ui', 'tv.ui.Button', 'tv.ui.Container', 'tv.ui.Input', 'tv.ui.ListModel']);
 goog.addDependency('../../../source/ui/tab_container.js', ['tv.ui.TabContainer'], ['tv.ui.Container']);
 goog.addDependency('../../../source/ui/toggle_button.js', ['tv.ui.ToggleButton'], ['tv.ui', 'tv.ui.Button']);
-goog.addDependency('../../../source/ui/ui.js', ['tv.ui'], ['goog.array', 'goog.dom']);
+goog.addDependency('../../../source/ui/ui.js', ['tv.ui'], ['goog.Timer', 'goog.array', 'goog.dom']);
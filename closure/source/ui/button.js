@@ -19,6 +19,7 @@ goog.provide('tv.ui.Button');
 
 goog.require('tv.ui');
 goog.require('tv.ui.Component');
+goog.require('tv.ui.Document');
 
 /**
  * Constructs button.
@@ -89,7 +90,6 @@ tv.ui.Button.prototype.getClass = function() {
 tv.ui.Button.prototype.onMouseDown = function(event) {
   goog.base(this, 'onMouseDown', event);
 
-  // TODO(maksym): Disabled button shouldn't trigger event.
   if (this.isEager() &&
       event.isButton(goog.events.BrowserEvent.MouseButton.LEFT)) {
     this.dispatchAction();
@@ -134,26 +134,24 @@ tv.ui.Button.prototype.onClick = function(event) {
 
 /**
  * Handles key event.
- * Dispatches ACTION event if Enter is pressed.
+ * Dispatches ACTION event if key is translated to SELECT action.
  * @param {goog.events.KeyEvent} event Key event.
  * @protected
  */
 tv.ui.Button.prototype.onKey = function(event) {
-  switch (event.keyCode) {
-    case goog.events.KeyCodes.ENTER:
-    case goog.events.KeyCodes.SPACE:
-      this.dispatchAction();
-      event.stopPropagation();
-      break;
+  if (this.getKeyAction(event) == tv.ui.Document.Action.SELECT) {
+    this.dispatchAction();
+    event.stopPropagation();
   }
 };
 
 /**
- * Dispatches ACTION event.
+ * Dispatches ACTION event, unless button or one of its ancestors is disabled.
  * @private
  */
 tv.ui.Button.prototype.dispatchAction = function() {
-  this.dispatchEvent(tv.ui.Button.EventType.ACTION);
+  this.isEnabledWithAncestors() &&
+      this.dispatchEvent(tv.ui.Button.EventType.ACTION);
 };
 
 /**
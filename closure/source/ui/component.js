@@ -17,6 +17,7 @@
  */
 goog.provide('tv.ui.Component');
 
+goog.require('goog.dom');
 goog.require('goog.events');
 goog.require('goog.events.EventHandler');
 goog.require('goog.events.EventTarget');
@@ -68,6 +69,7 @@ tv.ui.Component.Class = {
   /**
    * Applied when component cannot be selected.
    * @see #isEnabled
+   * @see #setEnabled
    */
   DISABLED: 'tv-component-disabled'
 };
@@ -101,7 +103,20 @@ tv.ui.Component.EventType = {
    * focused.
    * @see #onKey
    */
-  KEY: goog.events.getUniqueId('key')
+  KEY: goog.events.getUniqueId('key'),
+
+  /**
+   * Dispatched after component becomes enabled.
+   * @see #setEnabled
+   */
+  ENABLE: goog.events.getUniqueId('enable'),
+
+  /**
+   * Dispatched after component becomes disabled and focus has been moved off
+   * it.
+   * @see #setEnabled
+   */
+  DISABLE: goog.events.getUniqueId('disable')
 };
 
 /**
@@ -194,6 +209,10 @@ tv.ui.Component.prototype.decorate = function(element) {
   }
   this.eventHandler_.listen(
       element, goog.events.EventType.MOUSEDOWN, this.onMouseDown);
+  this.eventHandler_.listen(
+      element, goog.events.EventType.MOUSEOVER, this.onMouseOver);
+  this.eventHandler_.listen(
+      element, goog.events.EventType.MOUSEOUT, this.onMouseOut);
 
   this.eventHandler_.listen(
       this, tv.ui.Component.EventType.FOCUS, this.onFocus);
@@ -273,6 +292,8 @@ tv.ui.Component.prototype.onBlur = function(event) {
  * event.
  * @param {goog.events.KeyEvent} event Key event. Warning: method is
  *     destructive against event object.
+ * @return {boolean} Whether key has been handled, i.e. one of components has
+ *     prevented its default action.
  * @suppress {underscore} Intended to be package-private method, thus shouldn't
  * be called by anyone else but tv.ui.Document.
  */
@@ -281,7 +302,17 @@ tv.ui.Component.prototype.dispatchKey_ = function(event) {
   // TODO(maksym): Remove this cast magic.
   var thisAsObject = (/** @type {Object} */ this);
   event.target = (/** @type {Node} */ thisAsObject);
-  this.dispatchEvent(event);
+  return !this.dispatchEvent(event);
+};
+
+/**
+ * @param {goog.events.KeyEvent} event Key event.
+ * @return {?tv.ui.Document.Action} Action that key is translated to by
+ *     document, or null if key doesn't have one.
+ * @protected
+ */
+tv.ui.Component.prototype.getKeyAction = function(event) {
+  return this.getDocument().getKeyAction(event.keyCode);
 };
 
 /**
@@ -298,16 +329,54 @@ tv.ui.Component.prototype.onKey = goog.nullFunction;
  * @protected
  */
 tv.ui.Component.prototype.onMouseDown = function(event) {
-  // Whether component and all its ancestors are enabled.
+  if (this.isEnabledWithAncestors() && this.tryFocus()) {
+    event.stopPropagation();
+  }
+};
+
+/**
+ * Handles mouse over event.
+ * In pointer mode, lets document know that pointer is over focusable
+ * component, so that it gets focused once pointer rests on it.
+ * @param {goog.events.BrowserEvent} event Mouse over event.
+ * @protected
+ */
+tv.ui.Component.prototype.onMouseOver = function(event) {
+  var tvDocument = this.getDocument();
+  // Containers pass focus to their descendants, so only components which
+  // accept focus themselves react to hovering.
+  if (tvDocument.isPointerModeEnabled() &&
+      this.getSelectedDescendantOrSelf() == this &&
+      this.isEnabledWithAncestors()) {
+    tvDocument.setHoveredComponent(this);
+  }
+};
+
+/**
+ * Handles mouse out event.
+ * Lets document know that pointer has left hovered component.
+ * @param {goog.events.BrowserEvent} event Mouse out event.
+ * @protected
+ */
+tv.ui.Component.prototype.onMouseOut = function(event) {
+  var tvDocument = this.getDocument();
+  if (tvDocument.getHoveredComponent() == this && !(event.relatedTarget &&
+      goog.dom.contains(this.element_, event.relatedTarget))) {
+    tvDocument.setHoveredComponent(null);
+  }
+};
+
+/**
+ * @return {boolean} Whether component and all its ancestors are enabled.
+ * @protected
+ */
+tv.ui.Component.prototype.isEnabledWithAncestors = function() {
   for (var component = this; component; component = component.getParent()) {
     if (!component.isEnabled()) {
-      return;
+      return false;
     }
   }
-
-  if (this.tryFocus()) {
-    event.stopPropagation();
-  }
+  return true;
 };
 
 /**
@@ -387,7 +456,47 @@ tv.ui.Component.prototype.isEnabled = function() {
 };
 
 /**
- * Updates styles and layout according to state of component.
+ * Enables or disables component. Disabled component can't be selected, so
+ * focus moves off it to the nearest ancestor which can accept focus.
+ * @param {boolean} enabled Whether component can be selected.
+ */
+tv.ui.Component.prototype.setEnabled = function(enabled) {
+  if (enabled == this.isEnabled()) {
+    return;
+  }
+  goog.dom.classes.enable(
+      this.element_, tv.ui.Component.Class.DISABLED, !enabled);
+
+  // As enabled state affects whether component can be selected, we need to
+  // notify parent container.
+  var parent = this.getParent();
+  parent && parent.onChildEnabledChange(this);
+
+  if (!enabled && this.isFocused()) {
+    var ancestor = parent;
+    while (ancestor && !ancestor.tryFocus()) {
+      ancestor = ancestor.getParent();
+    }
+    ancestor || this.getDocument().setFocusedComponent(null);
+  }
+
+  this.dispatchEvent(enabled ?
+      tv.ui.Component.EventType.ENABLE :
+      tv.ui.Component.EventType.DISABLE);
+};
+
+/**
+ * Measures layout needed for rendering. Called at animation frame before any
+ * of scheduled components gets rendered, so implementations should only read
+ * layout and never update styles.
+ * @protected
+ */
+tv.ui.Component.prototype.measure = goog.nullFunction;
+
+/**
+ * Updates styles and layout according to state of component and layout
+ * measured by measure(). Implementations should avoid reading layout, as it
+ * might have been invalidated by other components rendered in the same frame.
  * Supposed to be used for computation-heavy updates that are too costly to
  * call after every state mutation.
  * @protected
@@ -397,7 +506,7 @@ tv.ui.Component.prototype.render = function() {
 };
 
 /**
- * Schedules eventual rendering of component.
+ * Schedules rendering of component at next animation frame.
  * Render is performed only once, no matter how many times it was scheduled.
  * @protected
  */
@@ -408,6 +517,14 @@ tv.ui.Component.prototype.scheduleRender = function() {
   }
 };
 
+/**
+ * Forgets that render was scheduled, so that next call to scheduleRender()
+ * schedules it again. Used when scheduled render was dropped.
+ */
+tv.ui.Component.prototype.unscheduleRender = function() {
+  this.renderScheduled_ = false;
+};
+
 /**
  * Handles touch start event.
  * @param {goog.events.Event} event Touch event.
@@ -18,13 +18,24 @@
 goog.provide('tv.ui.Container');
 
 goog.require('goog.Timer');
+goog.require('goog.array');
 goog.require('goog.dom');
 goog.require('goog.dom.classes');
+goog.require('goog.events');
+goog.require('goog.events.Event');
+goog.require('goog.events.MouseWheelHandler');
+goog.require('goog.fx.Animation');
+goog.require('goog.fx.easing');
+goog.require('goog.i18n.bidi');
+goog.require('goog.math');
 goog.require('goog.math.Coordinate');
+goog.require('goog.object');
 goog.require('goog.style');
-goog.require('goog.userAgent.product');
 goog.require('tv.ui');
+goog.require('tv.ui.Button');
 goog.require('tv.ui.Component');
+goog.require('tv.ui.Document');
+goog.require('tv.ui.ListModel');
 
 /**
  * Constructs container.
@@ -77,6 +88,15 @@ tv.ui.Container.Class = {
    */
   STACK: 'tv-container-stack',
 
+  /**
+   * Applied to root element of horizontal container whose children flow from
+   * right to left, as detected from its direction. Selection is controlled
+   * by Left and Right keys in mirrored way, start slit is expected to be on
+   * the right and end slit - on the left.
+   * @see #isRightToLeft
+   */
+  RIGHT_TO_LEFT: 'tv-container-right-to-left',
+
   /**
    * Applied to root element of currently selected child component.
    * @see #getSelectedChild
@@ -153,6 +173,14 @@ tv.ui.Container.Class = {
    */
   MIDDLE_SCROLL: 'tv-container-middle-scroll',
 
+  /**
+   * Applied to element that is parent to all scrollable child elements.
+   * Scrolling happens only when selected child, together with margin around
+   * it, would leave scrolling window.
+   * @see #setEdgeScrollMargin
+   */
+  EDGE_SCROLL: 'tv-container-edge-scroll',
+
   /**
    * Applied to parent element of all mock children.
    * Mock child is an element that has dimensions of typical child.
@@ -160,11 +188,83 @@ tv.ui.Container.Class = {
    */
   MOCK_SCROLL: 'tv-container-mock-scroll',
 
+  /**
+   * Applied to root element if container animates scrolling of its children
+   * instead of moving them to new position at once.
+   * @see #setScrollAnimation
+   */
+  ANIMATED_SCROLL: 'tv-container-animated-scroll',
+
+  /**
+   * Applied to root element if children should settle with start of nearest
+   * child at start of scrolling window after touch scrolling. Nearest child
+   * gets selected.
+   * @see #isSnappingToChild
+   */
+  SNAP_TO_CHILD: 'tv-container-snap-to-child',
+
+  /**
+   * Applied to root element if children should settle at nearest page, i.e.
+   * at multiple of scrolling window size, after touch scrolling. Child at start
+   * of page gets selected.
+   * @see #isSnappingToPage
+   */
+  SNAP_TO_PAGE: 'tv-container-snap-to-page',
+
+  /**
+   * Applied to root element if mouse wheel should scroll children without
+   * moving selection in pointer mode.
+   * @see #isWheelScrolling
+   */
+  WHEEL_SCROLL: 'tv-container-wheel-scroll',
+
   /**
    * Applied to root element if container resets its selection on blur.
    * @see #hasTransientSelection
    */
-  TRANSIENT_SELECTION: 'tv-container-transient-selection'
+  TRANSIENT_SELECTION: 'tv-container-transient-selection',
+
+  /**
+   * Applied to root element if selection wraps around container's ends,
+   * i.e. moving selection before first child selects last one and vice versa.
+   * @see #isWrapping
+   */
+  WRAP: 'tv-container-wrap',
+
+  /**
+   * Applied to root element if container is an infinite carousel. Carousel
+   * wraps its selection around and shows children as a continuous ring, so
+   * scrolling never jumps back to start.
+   * @see #isCarousel
+   */
+  CAROUSEL: 'tv-container-carousel',
+
+  /**
+   * Applied to root element if arrow keys should move focus among container's
+   * descendants according to their geometry rather than order. Nested
+   * containers don't handle arrow keys by themselves then.
+   * @see tv.ui.Document#setSpatialNavigation
+   */
+  SPATIAL_NAVIGATION: 'tv-container-spatial-navigation',
+
+  /**
+   * Applied to root element if container asks for more children when
+   * selection comes close to its end.
+   * @see tv.ui.Container.EventType#NEED_MORE
+   */
+  INFINITE: 'tv-container-infinite',
+
+  /**
+   * Applied to placeholder child shown at the end of infinite container while
+   * more children are being loaded. Placeholder can't be selected.
+   */
+  LOADING_ITEM: 'tv-container-loading-item',
+
+  /**
+   * Applied to button shown at the end of infinite container when loading of
+   * more children has failed. Pressing it restarts loading.
+   */
+  RETRY_ITEM: 'tv-container-retry-item'
 };
 
 tv.ui.registerDecorator(
@@ -180,6 +280,13 @@ tv.ui.registerDecorator(
  * @enum {string}
  */
 tv.ui.Container.EventType = {
+  /**
+   * Dispatched before selected child changes. Listeners can veto change by
+   * calling preventDefault() or redirect it to other child.
+   * @see tv.ui.Container.BeforeSelectChildEvent
+   */
+  BEFORE_SELECT_CHILD: goog.events.getUniqueId('before_select_child'),
+
   /**
    * Dispatched after selected child has changed.
    * @see #getSelectedChild
@@ -191,9 +298,140 @@ tv.ui.Container.EventType = {
    * changed.
    * @see #getHighlightElement
    */
-  UPDATE_HIGHLIGHT: goog.events.getUniqueId('update_highlight')
+  UPDATE_HIGHLIGHT: goog.events.getUniqueId('update_highlight'),
+
+  /**
+   * Dispatched by infinite container when selection comes close to its end.
+   * Listeners answer by setting deferred page load that appends children.
+   * @see tv.ui.Container.NeedMoreEvent
+   */
+  NEED_MORE: goog.events.getUniqueId('need_more'),
+
+  /**
+   * Dispatched after scroll animation has finished. Not dispatched for
+   * animation interrupted by another one, which ends instead.
+   * @see tv.ui.Container.Class#ANIMATED_SCROLL
+   */
+  ANIMATION_END: goog.events.getUniqueId('animation_end')
+};
+
+/**
+ * Event dispatched before selected child changes.
+ * @param {tv.ui.Component} previousChild Currently selected child.
+ * @param {tv.ui.Component} child Child about to be selected.
+ * @param {number} keyCode Code of key that triggered selection change, or 0 if
+ *     change isn't triggered by key.
+ * @constructor
+ * @extends {goog.events.Event}
+ */
+tv.ui.Container.BeforeSelectChildEvent = function(
+    previousChild, child, keyCode) {
+  goog.base(this, tv.ui.Container.EventType.BEFORE_SELECT_CHILD);
+
+  /**
+   * Currently selected child.
+   * @type {tv.ui.Component}
+   */
+  this.previousChild = previousChild;
+
+  /**
+   * Child about to be selected. Listeners can redirect selection by setting it
+   * to other child of container.
+   * @type {tv.ui.Component}
+   */
+  this.child = child;
+
+  /**
+   * Code of key that triggered selection change, or 0 if change isn't
+   * triggered by key.
+   * @type {number}
+   */
+  this.keyCode = keyCode;
+};
+goog.inherits(tv.ui.Container.BeforeSelectChildEvent, goog.events.Event);
+
+/**
+ * Event dispatched when infinite container needs more children.
+ * @constructor
+ * @extends {goog.events.Event}
+ */
+tv.ui.Container.NeedMoreEvent = function() {
+  goog.base(this, tv.ui.Container.EventType.NEED_MORE);
+};
+goog.inherits(tv.ui.Container.NeedMoreEvent, goog.events.Event);
+
+/**
+ * Page load set by listener. Its callbacks should add children to container,
+ * which shows loading placeholder until deferred fires and retry button if it
+ * fails. If left unset, container assumes that children have been added
+ * synchronously, if any.
+ * @type {goog.async.Deferred}
+ */
+tv.ui.Container.NeedMoreEvent.prototype.deferred = null;
+
+/**
+ * Keys that move selection by more than one child.
+ * @enum {string}
+ * @see #setJumpPolicy
+ */
+tv.ui.Container.JumpKey = {
+  PAGE_UP: tv.ui.Document.Action.PAGE_UP,
+  PAGE_DOWN: tv.ui.Document.Action.PAGE_DOWN,
+  HOME: tv.ui.Document.Action.HOME,
+  END: tv.ui.Document.Action.END,
+  /**
+   * Any of digit keys.
+   */
+  DIGIT: 'digit'
+};
+
+/**
+ * How container moves its selection in response to jump key.
+ * Page Up and Home keys move selection towards start of container, other keys
+ * move it towards end.
+ * @enum {string}
+ * @see #setJumpPolicy
+ */
+tv.ui.Container.JumpPolicy = {
+  /**
+   * Container ignores key, so it could be handled by ancestors.
+   */
+  NONE: 'none',
+
+  /**
+   * Selection moves by number of fully visible children.
+   */
+  PAGE: 'page',
+
+  /**
+   * First or last selectable child gets selected.
+   */
+  EDGE: 'edge',
+
+  /**
+   * Child gets selected by its ordinal number, entered with digit keys
+   * (just like channel number on a remote). Ordinals start with 1.
+   */
+  ORDINAL: 'ordinal'
 };
 
+/**
+ * Jump policies used unless container overrides them.
+ * @type {Object.<tv.ui.Container.JumpKey, tv.ui.Container.JumpPolicy>}
+ */
+tv.ui.Container.DEFAULT_JUMP_POLICIES = goog.object.create(
+    tv.ui.Container.JumpKey.PAGE_UP, tv.ui.Container.JumpPolicy.PAGE,
+    tv.ui.Container.JumpKey.PAGE_DOWN, tv.ui.Container.JumpPolicy.PAGE,
+    tv.ui.Container.JumpKey.HOME, tv.ui.Container.JumpPolicy.EDGE,
+    tv.ui.Container.JumpKey.END, tv.ui.Container.JumpPolicy.EDGE,
+    tv.ui.Container.JumpKey.DIGIT, tv.ui.Container.JumpPolicy.NONE);
+
+/**
+ * Time in milliseconds after which next digit key starts new ordinal number.
+ * @type {number}
+ */
+tv.ui.Container.ORDINAL_ENTRY_TIMEOUT = 1500;
+
 // TODO(maksym): Comment member and static variables.
 /**
  * @type {number}
@@ -207,6 +445,60 @@ tv.ui.Container.AVERAGE_VELOCITY_CALCULATION_INTERVAL = 50;
  */
 tv.ui.Container.DECELERATION_ANIMATION_INTERVAL = 20;
 
+/**
+ * Fraction of finger movement children follow while scrolled beyond their
+ * bounds during touch interaction.
+ * @type {number}
+ */
+tv.ui.Container.OVERSCROLL_RESISTANCE = 0.5;
+
+/**
+ * Maximum distance children could be scrolled beyond their bounds during touch
+ * interaction, as fraction of scrolling window size.
+ * @type {number}
+ */
+tv.ui.Container.MAX_OVERSCROLL_RATIO = 0.25;
+
+/**
+ * How many pixels are children scrolled by per row reported by mouse wheel,
+ * if container scrolls with wheel.
+ * @type {number}
+ */
+tv.ui.Container.WHEEL_ROW_SIZE = 20;
+
+/**
+ * Default maximum number of decorated children in virtual container.
+ * @type {number}
+ */
+tv.ui.Container.DEFAULT_VIRTUAL_WINDOW_SIZE = 20;
+
+/**
+ * Default number of children kept visible before and after selected one by
+ * edge scrolling policy.
+ * @type {number}
+ */
+tv.ui.Container.DEFAULT_EDGE_SCROLL_MARGIN = 1;
+
+/**
+ * Default number of children after selected one, below which infinite
+ * container asks for more.
+ * @type {number}
+ */
+tv.ui.Container.DEFAULT_NEED_MORE_THRESHOLD = 5;
+
+/**
+ * Default duration of scroll animation in milliseconds.
+ * @type {number}
+ */
+tv.ui.Container.DEFAULT_SCROLL_ANIMATION_DURATION = 250;
+
+/**
+ * How much more gap across direction of movement costs than gap along it,
+ * when looking for nearest component in spatial navigation.
+ * @type {number}
+ */
+tv.ui.Container.SPATIAL_CROSS_GAP_WEIGHT = 2;
+
 /**
  * @type {Element}
  * @private
@@ -256,11 +548,40 @@ tv.ui.Container.prototype.selectedChild_;
 tv.ui.Container.prototype.controllingSharedHighlight_;
 
 /**
+ * Position scrolling is heading to. Differs from displayed position while
+ * scrolling is animated.
  * @type {number}
  * @private
  */
 tv.ui.Container.prototype.scrollElementCoordinate_;
 
+/**
+ * Position scroll element is displayed at.
+ * @type {number}
+ * @private
+ */
+tv.ui.Container.prototype.displayedScrollElementCoordinate_;
+
+/**
+ * Scroll animation in progress.
+ * @type {goog.fx.Animation}
+ * @private
+ */
+tv.ui.Container.prototype.scrollAnimation_;
+
+/**
+ * @type {number}
+ * @private
+ */
+tv.ui.Container.prototype.scrollAnimationDuration_ =
+    tv.ui.Container.DEFAULT_SCROLL_ANIMATION_DURATION;
+
+/**
+ * @type {Function}
+ * @private
+ */
+tv.ui.Container.prototype.scrollAnimationEasing_ = goog.fx.easing.easeOut;
+
 /**
  * @type {number}
  * @private
@@ -291,130 +612,983 @@ tv.ui.Container.prototype.decelerationTimer_;
  */
 tv.ui.Container.prototype.decelerationVelocity_;
 
-// TODO(maksym): Flag below is dangerous because it assumes that render() will
-// be called immediately from scheduleRender(), which may not always be true.
 /**
- * @type {boolean}
+ * @type {goog.events.MouseWheelHandler}
+ * @private
+ */
+tv.ui.Container.prototype.mouseWheelHandler_;
+
+/**
+ * Whether next render should leave children where they are. Selection could
+ * change several times before render, so it's true only if every change has
+ * asked not to scroll, and undefined if selection hasn't changed since last
+ * render.
+ * @type {boolean|undefined}
  * @private
  */
 tv.ui.Container.prototype.skipNextScroll_;
 
 /**
- * @inheritDoc
+ * Total number of items in virtual container, undefined if container is not
+ * virtual.
+ * @type {number|undefined}
+ * @private
  */
-tv.ui.Container.prototype.disposeInternal = function() {
-  this.removeChildren();
+tv.ui.Container.prototype.virtualItemCount_;
 
-  delete this.scrollElement_;
-  delete this.highlightElement_;
-  delete this.startSlitElement_;
-  delete this.endSlitElement_;
-  delete this.mockScrollElement_;
-  delete this.mockChildElement_;
+/**
+ * Index of item rendered by first child of virtual container.
+ * @type {number}
+ * @private
+ */
+tv.ui.Container.prototype.virtualFirstIndex_;
 
-  goog.base(this, 'disposeInternal');
-};
+/**
+ * Renders item of virtual container. Set only after initial window of
+ * children is decorated.
+ * @type {?function(number, Element=): Element}
+ * @private
+ */
+tv.ui.Container.prototype.virtualItemRenderer_;
 
 /**
- * @inheritDoc
+ * List model container is bound to.
+ * @type {tv.ui.ListModel}
+ * @private
  */
-tv.ui.Container.prototype.decorate = function(element) {
-  goog.base(this, 'decorate', element);
+tv.ui.Container.prototype.model_;
 
-  for (var childNode = element.firstChild; childNode;
-       childNode = childNode.nextSibling) {
-    if (childNode.nodeType != goog.dom.NodeType.ELEMENT) {
-      continue;
-    }
+/**
+ * Renders item of list model.
+ * @type {?function(*, Element=): Element}
+ * @private
+ */
+tv.ui.Container.prototype.modelItemRenderer_;
 
-    var childElement = /** @type {Element} */(childNode);
-    if (goog.dom.classes.has(childElement, tv.ui.Container.Class.HIGHLIGHT)) {
-      this.setHighlightElement(childElement);
-    } else if (goog.dom.classes.has(
-        childElement, tv.ui.Container.Class.START_SLIT)) {
-      this.startSlitElement_ = childElement;
-    } else if (goog.dom.classes.has(
-        childElement, tv.ui.Container.Class.END_SLIT)) {
-      this.endSlitElement_ = childElement;
-    } else if (goog.dom.classes.has(
-        childElement, tv.ui.Container.Class.START_SCROLL)) {
-      this.scrollElement_ = childElement;
-    } else if (goog.dom.classes.has(
-        childElement, tv.ui.Container.Class.MIDDLE_SCROLL)) {
-      this.scrollElement_ = childElement;
-    } else if (goog.dom.classes.has(
-        childElement, tv.ui.Container.Class.MOCK_SCROLL)) {
-      this.mockScrollElement_ = childElement;
-      this.mockChildElement_ = /** @type {Element} */(
-          childElement.removeChild(childElement.firstChild));
-    }
-  }
+/**
+ * Items of list model rendered by children, in order of children.
+ * @type {Array}
+ * @private
+ */
+tv.ui.Container.prototype.modelItems_;
 
-  if (this.scrollElement_ && goog.isDef(window.ontouchstart)) {
-    this.scrollTo_(0);
+/**
+ * Number of children after selected one, below which infinite container asks
+ * for more.
+ * @type {number}
+ * @private
+ */
+tv.ui.Container.prototype.needMoreThreshold_ =
+    tv.ui.Container.DEFAULT_NEED_MORE_THRESHOLD;
 
-    this.decelerationTimer_ = new goog.Timer(
-        tv.ui.Container.DECELERATION_ANIMATION_INTERVAL);
-    this.getEventHandler().listen(
-        this.decelerationTimer_, goog.Timer.TICK, function() {
-          this.scrollTo_(
-              this.scrollElementCoordinate_ + this.decelerationVelocity_, true);
+/**
+ * Whether infinite container could get more children.
+ * @type {boolean}
+ * @private
+ */
+tv.ui.Container.prototype.hasMore_ = true;
 
-          this.decelerationVelocity_ *= 0.95;
-          if (Math.abs(this.decelerationVelocity_) < 0.05) {
-            this.decelerationTimer_.stop();
-          }
-        });
-  }
-};
+/**
+ * Page load infinite container is waiting for.
+ * @type {goog.async.Deferred}
+ * @private
+ */
+tv.ui.Container.prototype.loadDeferred_;
 
 /**
- * @inheritDoc
+ * Loading placeholder or retry button, always the last child.
+ * @type {tv.ui.Component}
+ * @private
  */
-tv.ui.Container.prototype.getClass = function() {
-  return tv.ui.Container.CLASS;
-};
+tv.ui.Container.prototype.loadChild_;
 
 /**
- * Adds child component.
- * @param {tv.ui.Component} child Child component.
+ * Margin kept around selected child by edge scrolling policy.
+ * @type {number}
+ * @private
  */
-tv.ui.Container.prototype.addChild = function(child) {
-  this.children_.push(child);
-  child.setParent(this);
+tv.ui.Container.prototype.edgeScrollMargin_ =
+    tv.ui.Container.DEFAULT_EDGE_SCROLL_MARGIN;
 
-  if (this.mockScrollElement_) {
-    var mockChildElement =
-        /** @type {Element} */(this.mockChildElement_.cloneNode(true));
-    goog.style.showElement(mockChildElement, child.isVisible());
-    this.mockScrollElement_.appendChild(mockChildElement);
-  }
+/**
+ * Whether edge scrolling margin is measured in pixels rather than children.
+ * @type {boolean}
+ * @private
+ */
+tv.ui.Container.prototype.edgeScrollMarginInPixels_ = false;
 
-  if ((!this.selectedChild_ && child.getSelectedDescendantOrSelf()) ||
-      goog.dom.classes.has(
+/**
+ * Jump policies which override default ones.
+ * @type {Object.<tv.ui.Container.JumpKey, tv.ui.Container.JumpPolicy>}
+ * @private
+ */
+tv.ui.Container.prototype.jumpPolicies_;
+
+/**
+ * Digits of ordinal number entered so far.
+ * @type {string}
+ * @private
+ */
+tv.ui.Container.prototype.ordinalEntry_ = '';
+
+/**
+ * Identifier of timer that resets ordinal number entry.
+ * @type {?number}
+ * @private
+ */
+tv.ui.Container.prototype.ordinalEntryTimerId_ = null;
+
+/**
+ * Scroll coordinate of selected child in carousel, accumulated across laps
+ * of the ring.
+ * @type {number|undefined}
+ * @private
+ */
+tv.ui.Container.prototype.carouselCoordinate_;
+
+/**
+ * How far selected child of carousel is shifted from its position in the ring.
+ * Mock scroll element is shifted by the same value to keep measurements
+ * consistent.
+ * @type {number}
+ * @private
+ */
+tv.ui.Container.prototype.carouselShift_ = 0;
+
+/**
+ * Map from unique identifier of child of carousel to how far it is shifted
+ * from its position in the ring.
+ * @type {Object.<number, number>}
+ * @private
+ */
+tv.ui.Container.prototype.carouselChildShifts_;
+
+/**
+ * Scroll position measured for next rendering, along with how carousel
+ * children should be shifted and whether slits should be shown regardless of
+ * scroll position.
+ * @type {{scrollElementCoordinate: number,
+ *     carouselChildShifts: (Object.<number, number>|undefined),
+ *     slitsShown: (boolean|undefined)}|undefined}
+ * @private
+ */
+tv.ui.Container.prototype.pendingScroll_;
+
+/**
+ * Padding of scroll element of virtual container measured for next
+ * rendering.
+ * @type {number|undefined}
+ * @private
+ */
+tv.ui.Container.prototype.pendingVirtualPadding_;
+
+/**
+ * Whether children flow from right to left, as of last measure.
+ * @type {boolean}
+ * @private
+ */
+tv.ui.Container.prototype.rightToLeft_ = false;
+
+/**
+ * Value of dir attribute of root element when direction of children has been
+ * detected, undefined if it should be detected again.
+ * @type {?string|undefined}
+ * @private
+ */
+tv.ui.Container.prototype.detectedDirAttribute_;
+
+/**
+ * Size of scrolling window, as of last measure.
+ * @type {number}
+ * @private
+ */
+tv.ui.Container.prototype.scrollWindowSize_ = 0;
+
+/**
+ * Size of all children, as of last measure.
+ * @type {number}
+ * @private
+ */
+tv.ui.Container.prototype.allChildrenSize_ = 0;
+
+/**
+ * Position of selected child relative to parent of highlight element, as of
+ * last measure, excluding scrolling of children. Highlight is positioned
+ * without measuring, so that it could follow animated scrolling cheaply.
+ * @type {{child: tv.ui.Component, position: goog.math.Coordinate}|undefined}
+ * @private
+ */
+tv.ui.Container.prototype.highlightBase_;
+
+/**
+ * @inheritDoc
+ */
+tv.ui.Container.prototype.disposeInternal = function() {
+  this.removeChildren();
+  this.stopScrollAnimation();
+  goog.Timer.clear(this.ordinalEntryTimerId_);
+  this.mouseWheelHandler_ && this.mouseWheelHandler_.dispose();
+  delete this.mouseWheelHandler_;
+
+  delete this.scrollElement_;
+  delete this.highlightElement_;
+  delete this.highlightBase_;
+  delete this.pendingScroll_;
+  delete this.carouselChildShifts_;
+  delete this.startSlitElement_;
+  delete this.endSlitElement_;
+  delete this.mockScrollElement_;
+  delete this.mockChildElement_;
+  delete this.model_;
+  delete this.modelItemRenderer_;
+  delete this.modelItems_;
+
+  goog.base(this, 'disposeInternal');
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.Container.prototype.decorate = function(element) {
+  goog.base(this, 'decorate', element);
+
+  for (var childNode = element.firstChild; childNode;
+       childNode = childNode.nextSibling) {
+    if (childNode.nodeType != goog.dom.NodeType.ELEMENT) {
+      continue;
+    }
+
+    var childElement = /** @type {Element} */(childNode);
+    if (goog.dom.classes.has(childElement, tv.ui.Container.Class.HIGHLIGHT)) {
+      this.setHighlightElement(childElement);
+    } else if (goog.dom.classes.has(
+        childElement, tv.ui.Container.Class.START_SLIT)) {
+      this.startSlitElement_ = childElement;
+    } else if (goog.dom.classes.has(
+        childElement, tv.ui.Container.Class.END_SLIT)) {
+      this.endSlitElement_ = childElement;
+    } else if (goog.dom.classes.has(
+        childElement, tv.ui.Container.Class.START_SCROLL)) {
+      this.scrollElement_ = childElement;
+    } else if (goog.dom.classes.has(
+        childElement, tv.ui.Container.Class.MIDDLE_SCROLL)) {
+      this.scrollElement_ = childElement;
+    } else if (goog.dom.classes.has(
+        childElement, tv.ui.Container.Class.EDGE_SCROLL)) {
+      this.scrollElement_ = childElement;
+    } else if (goog.dom.classes.has(
+        childElement, tv.ui.Container.Class.MOCK_SCROLL)) {
+      this.mockScrollElement_ = childElement;
+      this.mockChildElement_ = /** @type {Element} */(
+          childElement.removeChild(childElement.firstChild));
+    }
+  }
+
+  this.mouseWheelHandler_ = new goog.events.MouseWheelHandler(element);
+  this.getEventHandler().listen(
+      this.mouseWheelHandler_,
+      goog.events.MouseWheelHandler.EventType.MOUSEWHEEL,
+      this.onMouseWheel);
+
+  if (this.scrollElement_ && goog.isDef(window.ontouchstart)) {
+    this.scrollTo_(0);
+
+    this.decelerationTimer_ = new goog.Timer(
+        tv.ui.Container.DECELERATION_ANIMATION_INTERVAL);
+    this.getEventHandler().listen(
+        this.decelerationTimer_, goog.Timer.TICK, function() {
+          var previousCoordinate = this.scrollElementCoordinate_;
+          this.scrollTo_(
+              this.scrollElementCoordinate_ + this.decelerationVelocity_, true);
+          this.updateSlits_();
+
+          // Children slow down much faster once they fly beyond their bounds.
+          this.decelerationVelocity_ *= this.isOverscrolled_() ? 0.5 : 0.95;
+          if (Math.abs(this.decelerationVelocity_) < 0.05 ||
+              this.scrollElementCoordinate_ == previousCoordinate) {
+            this.decelerationTimer_.stop();
+            this.settle_();
+          }
+        });
+  }
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.Container.prototype.getClass = function() {
+  return tv.ui.Container.CLASS;
+};
+
+/**
+ * Adds child component.
+ * @param {tv.ui.Component} child Child component.
+ */
+tv.ui.Container.prototype.addChild = function(child) {
+  // Loading placeholder and retry button stay after all other children.
+  this.insertChildAt(
+      child, this.children_.length - (this.loadChild_ ? 1 : 0));
+};
+
+/**
+ * Inserts child component at given index. Selection and focus stay on the
+ * same components. Root element of child is expected to be already in place,
+ * as during decoration, or detached from DOM, in which case it's inserted next
+ * to elements of its siblings.
+ * @param {tv.ui.Component} child Child component.
+ * @param {number} index Index to insert child at, from 0 to number of children.
+ */
+tv.ui.Container.prototype.insertChildAt = function(child, index) {
+  goog.asserts.assert(
+      !this.virtualItemRenderer_,
+      'Children of virtual container are managed by container itself.');
+
+  goog.array.insertAt(this.children_, child, index);
+  child.setParent(this);
+
+  // Automatic direction is estimated from text of children.
+  delete this.detectedDirAttribute_;
+
+  if (!child.getElement().parentNode) {
+    this.insertChildElement_(child.getElement(), index);
+  }
+
+  // Mock children of virtual container are created for all items at once.
+  if (this.mockScrollElement_ && !this.isVirtual()) {
+    var mockChildElement =
+        /** @type {Element} */(this.mockChildElement_.cloneNode(true));
+    goog.style.showElement(mockChildElement, child.isVisible());
+    this.mockScrollElement_.insertBefore(
+        mockChildElement, this.mockScrollElement_.childNodes[index] || null);
+  }
+
+  if ((!this.selectedChild_ && child.getSelectedDescendantOrSelf()) ||
+      goog.dom.classes.has(
           child.getElement(), tv.ui.Container.Class.SELECTED_CHILD)) {
-    this.setSelectedChild(child);
+    this.selectChild_(child);
   } else {
     this.scheduleRender();
   }
 };
 
 /**
- * Removes all child components.
+ * Removes child component and detaches its root element from DOM. If removed
+ * child has been selected, selection moves to the child that takes its place
+ * or to previous one, focus follows selection.
+ * @param {tv.ui.Component} child Child component to remove.
+ * @return {tv.ui.Component} Removed child. It isn't disposed, so it can be
+ *     added to other container.
+ */
+tv.ui.Container.prototype.removeChild = function(child) {
+  goog.asserts.assert(
+      !this.virtualItemRenderer_,
+      'Children of virtual container are managed by container itself.');
+  var childIndex = goog.array.indexOf(this.children_, child);
+  goog.asserts.assert(childIndex != -1, 'Component isn\'t a child.');
+
+  if (this.selectedChild_ == child) {
+    this.selectChild_(
+        this.findNextSelectableChild() || this.findPreviousSelectableChild());
+  }
+
+  // Move focus while child is still attached, so that blur and focus events
+  // are dispatched on proper components.
+  if (child.isFocused()) {
+    var ancestor = this;
+    while (ancestor && !ancestor.tryFocus()) {
+      ancestor = ancestor.getParent();
+    }
+    ancestor || this.getDocument().setFocusedComponent(null);
+  }
+
+  goog.array.removeAt(this.children_, childIndex);
+  child.setParent(null);
+  delete this.detectedDirAttribute_;
+  goog.dom.removeNode(child.getElement());
+  if (this.mockScrollElement_) {
+    goog.dom.removeNode(this.mockScrollElement_.childNodes[childIndex]);
+  }
+  this.onChildRemoved(child);
+
+  this.scheduleRender();
+  return child;
+};
+
+/**
+ * Called after child component has been removed. Subclasses that listen to
+ * children or keep references to them in insertChildAt() should undo it here.
+ * @param {tv.ui.Component} child Removed child component.
+ * @protected
+ */
+tv.ui.Container.prototype.onChildRemoved = goog.nullFunction;
+
+/**
+ * Moves child component to given index, along with its root element.
+ * Selection and focus stay on the same components.
+ * @param {tv.ui.Component} child Child component to move.
+ * @param {number} index New index of child.
+ */
+tv.ui.Container.prototype.moveChild = function(child, index) {
+  goog.asserts.assert(
+      !this.virtualItemRenderer_,
+      'Children of virtual container are managed by container itself.');
+  var childIndex = goog.array.indexOf(this.children_, child);
+  goog.asserts.assert(childIndex != -1, 'Component isn\'t a child.');
+  if (childIndex == index) {
+    return;
+  }
+
+  goog.array.removeAt(this.children_, childIndex);
+  goog.array.insertAt(this.children_, child, index);
+  this.insertChildElement_(child.getElement(), index);
+
+  // Mock children differ only in visibility, but keep them in sync anyway.
+  if (this.mockScrollElement_) {
+    var mockChildElement = this.mockScrollElement_.removeChild(
+        this.mockScrollElement_.childNodes[childIndex]);
+    this.mockScrollElement_.insertBefore(
+        mockChildElement, this.mockScrollElement_.childNodes[index] || null);
+  }
+
+  this.scheduleRender();
+};
+
+/**
+ * Replaces child component with another one, which takes its place in DOM.
+ * New child gets selection and focus if replaced child has had them.
+ * @param {tv.ui.Component} newChild Child component to insert.
+ * @param {tv.ui.Component} oldChild Child component to remove.
+ * @return {tv.ui.Component} Removed child. It isn't disposed, so it can be
+ *     added to other container.
+ */
+tv.ui.Container.prototype.replaceChild = function(newChild, oldChild) {
+  var childIndex = goog.array.indexOf(this.children_, oldChild);
+  goog.asserts.assert(childIndex != -1, 'Component isn\'t a child.');
+
+  this.insertChildAt(newChild, childIndex);
+
+  if (this.selectedChild_ == oldChild &&
+      newChild.getSelectedDescendantOrSelf()) {
+    this.selectChild_(newChild);
+    oldChild.isFocused() && this.tryFocus();
+  }
+
+  return this.removeChild(oldChild);
+};
+
+/**
+ * Inserts element of child into DOM next to elements of its siblings.
+ * @param {Element} childElement Root element of child.
+ * @param {number} index Index of child.
+ * @private
+ */
+tv.ui.Container.prototype.insertChildElement_ = function(childElement, index) {
+  var nextChild = this.children_[index + 1];
+  var previousChild = this.children_[index - 1];
+  if (nextChild) {
+    goog.dom.insertSiblingBefore(childElement, nextChild.getElement());
+  } else if (previousChild) {
+    goog.dom.insertSiblingAfter(childElement, previousChild.getElement());
+  } else {
+    goog.dom.appendChild(this.scrollElement_ || this.element_, childElement);
+  }
+};
+
+/**
+ * Removes all child components.
+ */
+tv.ui.Container.prototype.removeChildren = function() {
+  this.selectChild_(null);
+  delete this.loadDeferred_;
+  delete this.loadChild_;
+
+  if (this.mockScrollElement_) {
+    goog.dom.removeChildren(this.mockScrollElement_);
+  }
+
+  goog.array.forEach(this.children_, function(child) {
+    child.dispose();
+  });
+  this.children_ = [];
+  delete this.detectedDirAttribute_;
+
+  // Elements of virtual container are owned by container itself.
+  if (this.isVirtual()) {
+    goog.dom.removeChildren(this.scrollElement_);
+    this.setVirtualPadding_(0);
+
+    delete this.virtualItemCount_;
+    delete this.virtualFirstIndex_;
+    delete this.virtualItemRenderer_;
+  }
+
+  this.scheduleRender();
+};
+
+/**
+ * Switches container to virtual mode. Virtual container decorates only a
+ * window of children around selected one and recycles their elements as
+ * selection moves, while mock children represent geometry of all items.
+ * Container must have scroll and mock scroll elements, previous children and
+ * content of scroll element are removed.
+ * @param {number} itemCount Total number of items.
+ * @param {function(number, Element=): Element} itemRenderer Renders item with
+ *     given index. Should create new decoratable element if none is given or
+ *     update content of given element otherwise. Given element is reset to
+ *     enabled and visible state, its nested components are decorated again.
+ * @param {number=} opt_windowSize Maximum number of decorated children.
+ */
+tv.ui.Container.prototype.setVirtualItems = function(
+    itemCount, itemRenderer, opt_windowSize) {
+  goog.asserts.assert(
+      this.scrollElement_ && this.mockScrollElement_,
+      'Virtual container requires scroll and mock scroll elements.');
+
+  this.removeChildren();
+  goog.dom.removeChildren(this.scrollElement_);
+
+  this.virtualItemCount_ = itemCount;
+  this.virtualFirstIndex_ = 0;
+
+  for (var itemIndex = 0; itemIndex < itemCount; itemIndex++) {
+    this.mockScrollElement_.appendChild(
+        this.mockChildElement_.cloneNode(true));
+  }
+
+  var windowSize = Math.min(
+      itemCount,
+      opt_windowSize || tv.ui.Container.DEFAULT_VIRTUAL_WINDOW_SIZE);
+  for (itemIndex = 0; itemIndex < windowSize; itemIndex++) {
+    var childElement = itemRenderer(itemIndex);
+    this.scrollElement_.appendChild(childElement);
+    tv.ui.decorate(childElement, undefined, this);
+  }
+
+  // Enable recycling only now, when window is complete.
+  this.virtualItemRenderer_ = itemRenderer;
+  this.selectedChild_ && this.updateVirtualWindow_();
+};
+
+/**
+ * @return {boolean} Whether container is in virtual mode.
+ * @see #setVirtualItems
+ */
+tv.ui.Container.prototype.isVirtual = function() {
+  return goog.isDef(this.virtualItemCount_);
+};
+
+/**
+ * @param {tv.ui.Component} child Child component.
+ * @return {number} Index of item rendered by given child, -1 if component
+ *     is not a child of container.
+ */
+tv.ui.Container.prototype.getItemIndex = function(child) {
+  var childIndex = goog.array.indexOf(this.children_, child);
+  return childIndex != -1 && this.isVirtual() ?
+      this.virtualFirstIndex_ + childIndex : childIndex;
+};
+
+/**
+ * @param {number} itemIndex Index of item.
+ * @return {boolean} Whether item takes space in scrolling window. Items of
+ *     virtual container are always considered visible.
+ * @private
+ */
+tv.ui.Container.prototype.isItemVisible_ = function(itemIndex) {
+  return this.isVirtual() || this.children_[itemIndex].isVisible();
+};
+
+/**
+ * Moves window of children of virtual container so that given item is in the
+ * middle of it. Children that leave window are rendered with items that enter
+ * it.
+ * @param {number=} opt_itemIndex Index of item to center window on, item of
+ *     selected child by default.
+ * @private
+ */
+tv.ui.Container.prototype.updateVirtualWindow_ = function(opt_itemIndex) {
+  var itemIndex = goog.isDef(opt_itemIndex) ?
+      opt_itemIndex : this.getItemIndex(this.selectedChild_);
+  var windowSize = this.children_.length;
+  var firstIndex = Math.max(0, Math.min(
+      itemIndex - Math.floor(windowSize / 2),
+      this.virtualItemCount_ - windowSize));
+
+  // Selected child is recycled only if window moves far away from it to let
+  // selection jump there, see #findSelectableChildNear_.
+  var child;
+  while (this.virtualFirstIndex_ < firstIndex) {
+    child = this.children_.shift();
+    this.renderVirtualItem_(child, this.virtualFirstIndex_ + windowSize);
+    this.scrollElement_.appendChild(child.getElement());
+    this.children_.push(child);
+    this.virtualFirstIndex_++;
+  }
+  while (this.virtualFirstIndex_ > firstIndex) {
+    child = this.children_.pop();
+    this.virtualFirstIndex_--;
+    this.renderVirtualItem_(child, this.virtualFirstIndex_);
+    this.scrollElement_.insertBefore(
+        child.getElement(), this.scrollElement_.firstChild);
+    this.children_.unshift(child);
+  }
+};
+
+/**
+ * Swaps child of virtual container with the next one and renders their items
+ * again.
+ * @param {number} childIndex Index of child.
+ * @private
+ */
+tv.ui.Container.prototype.swapVirtualChildren_ = function(childIndex) {
+  var children = this.children_.splice(childIndex, 2).reverse();
+  goog.array.insertArrayAt(this.children_, children, childIndex);
+  this.scrollElement_.insertBefore(
+      children[0].getElement(), children[1].getElement());
+  this.renderVirtualItem_(children[0], this.virtualFirstIndex_ + childIndex);
+  this.renderVirtualItem_(
+      children[1], this.virtualFirstIndex_ + childIndex + 1);
+};
+
+/**
+ * Renders another item into element of recycled child of virtual container.
+ * State that child and its descendants got while showing previous item is
+ * reset, nested components are decorated again. Selected child keeps its
+ * state, it is reset once selection leaves it.
+ * @param {tv.ui.Component} child Recycled child.
+ * @param {number} itemIndex Index of item to render.
+ * @private
+ */
+tv.ui.Container.prototype.renderVirtualItem_ = function(child, itemIndex) {
+  var element = child.getElement();
+  var resetState = child != this.selectedChild_;
+  if (resetState) {
+    child instanceof tv.ui.Container && child.removeChildren();
+    goog.array.forEach([
+      tv.ui.Component.Class.FOCUSED,
+      tv.ui.Component.Class.DISABLED,
+      tv.ui.Component.Class.HIDDEN,
+      tv.ui.Container.Class.SELECTED_CHILD
+    ], function(className) {
+      goog.dom.classes.remove(element, className);
+      goog.array.forEach(
+          goog.array.clone(goog.dom.getElementsByClass(className, element)),
+          function(descendantElement) {
+            goog.dom.classes.remove(descendantElement, className);
+          });
+    });
+  }
+
+  this.virtualItemRenderer_(itemIndex, element);
+
+  if (resetState && child instanceof tv.ui.Container) {
+    tv.ui.decorateChildren(element, undefined, child);
+  }
+};
+
+/**
+ * Moves window of children of virtual container back to previously selected
+ * item when selection hasn't followed jump to another item. If selected child
+ * has been recycled meanwhile, selection moves to child that renders the item
+ * now.
+ * @param {number} itemIndex Index of previously selected item.
+ * @private
+ */
+tv.ui.Container.prototype.restoreVirtualSelection_ = function(itemIndex) {
+  this.updateVirtualWindow_(itemIndex);
+
+  var child = this.children_[itemIndex - this.virtualFirstIndex_];
+  if (child != this.selectedChild_) {
+    this.selectChild_(child);
+    child.tryFocus();
+  }
+};
+
+/**
+ * Offsets children of virtual container to position of their mock children.
+ * @param {number} padding Offset of first child.
+ * @private
+ */
+tv.ui.Container.prototype.setVirtualPadding_ = function(padding) {
+  this.scrollElement_.style[!this.isHorizontal() ? 'paddingTop' :
+      this.rightToLeft_ ? 'paddingRight' : 'paddingLeft'] = padding + 'px';
+};
+
+/**
+ * Binds container to list model. Container creates, updates and disposes its
+ * children as model changes, selection stays on the same item. Previous
+ * children are removed along with their elements. Children of bound container
+ * shouldn't be added or removed directly.
+ * @param {tv.ui.ListModel} model Model to bind to, null to unbind.
+ * @param {function(*, Element=): Element=} opt_itemRenderer Renders given
+ *     item. Should create new decoratable element if none is given or update
+ *     content of given element otherwise. Required unless model is null.
+ */
+tv.ui.Container.prototype.setModel = function(model, opt_itemRenderer) {
+  goog.asserts.assert(
+      !this.isVirtual(), 'Virtual container can\'t be bound to list model.');
+  goog.asserts.assert(
+      !model || opt_itemRenderer, 'Item renderer is required.');
+
+  if (this.model_) {
+    this.getEventHandler().unlisten(
+        this.model_,
+        goog.object.getValues(tv.ui.ListModel.EventType),
+        this.onModelChange_);
+  }
+
+  delete this.loadDeferred_;
+  this.setLoadChild_(null);
+  while (this.children_.length) {
+    this.removeChild(this.children_[this.children_.length - 1]).dispose();
+  }
+
+  this.model_ = model;
+  this.modelItemRenderer_ = opt_itemRenderer || null;
+  this.modelItems_ = [];
+  if (model) {
+    this.getEventHandler().listen(
+        model,
+        goog.object.getValues(tv.ui.ListModel.EventType),
+        this.onModelChange_);
+    this.syncWithModel_();
+  }
+};
+
+/**
+ * @return {tv.ui.ListModel} List model container is bound to, if any.
+ */
+tv.ui.Container.prototype.getModel = function() {
+  return this.model_ || null;
+};
+
+/**
+ * @return {*} Item of list model rendered by selected child, undefined if
+ *     container isn't bound to model or has no selection.
+ */
+tv.ui.Container.prototype.getSelectedItem = function() {
+  return this.model_ && this.selectedChild_ ? this.modelItems_[
+      goog.array.indexOf(this.children_, this.selectedChild_)] : undefined;
+};
+
+/**
+ * Selects child that renders given item of list model.
+ * @param {*} item Item of list model.
+ * @return {boolean} Whether item is rendered by selected child now.
+ */
+tv.ui.Container.prototype.setSelectedItem = function(item) {
+  var itemIndex = this.model_ ?
+      goog.array.indexOf(this.modelItems_, item) : -1;
+  if (itemIndex == -1) {
+    return false;
+  }
+  this.setSelectedChild(this.children_[itemIndex]);
+  return this.selectedChild_ == this.children_[itemIndex];
+};
+
+/**
+ * Handles change of list model.
+ * @param {tv.ui.ListModel.Event} event Model event.
+ * @private
+ */
+tv.ui.Container.prototype.onModelChange_ = function(event) {
+  switch (event.type) {
+    case tv.ui.ListModel.EventType.ADD:
+      this.insertModelItem_(event.item, event.index);
+      break;
+    case tv.ui.ListModel.EventType.REMOVE:
+      this.removeChild(this.children_[event.index]).dispose();
+      goog.array.removeAt(this.modelItems_, event.index);
+      break;
+    case tv.ui.ListModel.EventType.UPDATE:
+      this.modelItemRenderer_(
+          event.item, this.children_[event.index].getElement());
+      this.scheduleRender();
+      break;
+    case tv.ui.ListModel.EventType.RESET:
+      this.syncWithModel_();
+      break;
+  }
+};
+
+/**
+ * Brings children in line with items of list model. Children of items that
+ * remain in model are reused and moved into place, so selection and focus
+ * stay with them.
+ * @private
+ */
+tv.ui.Container.prototype.syncWithModel_ = function() {
+  var items = this.model_.getItems();
+
+  // Remove from the end, so that selection moves to surviving children first.
+  for (var i = this.modelItems_.length - 1; i >= 0; i--) {
+    if (!goog.array.contains(items, this.modelItems_[i])) {
+      this.removeChild(this.children_[i]).dispose();
+      goog.array.removeAt(this.modelItems_, i);
+    }
+  }
+
+  goog.array.forEach(items, function(item, index) {
+    var childIndex = goog.array.indexOf(this.modelItems_, item);
+    if (childIndex == -1) {
+      this.insertModelItem_(item, index);
+      return;
+    }
+
+    var child = this.children_[childIndex];
+    if (childIndex != index) {
+      this.moveChild(child, index);
+      goog.array.removeAt(this.modelItems_, childIndex);
+      goog.array.insertAt(this.modelItems_, item, index);
+    }
+    this.modelItemRenderer_(item, child.getElement());
+  }, this);
+};
+
+/**
+ * Renders item of list model and inserts decorated child for it.
+ * @param {*} item Item of list model.
+ * @param {number} index Index of item.
+ * @private
+ */
+tv.ui.Container.prototype.insertModelItem_ = function(item, index) {
+  var childElement = this.modelItemRenderer_(item);
+  tv.ui.decorate(childElement);
+  var child = tv.ui.getComponentByElement(childElement);
+  goog.asserts.assert(
+      child, 'Item renderer should create decoratable element.');
+
+  // Keep items in sync before child could get selected.
+  goog.array.insertAt(this.modelItems_, item, index);
+  this.insertChildAt(child, index);
+};
+
+/**
+ * Sets number of children after selected one, below which infinite container
+ * asks for more.
+ * @param {number} threshold Number of children.
+ * @see tv.ui.Container.Class#INFINITE
+ */
+tv.ui.Container.prototype.setNeedMoreThreshold = function(threshold) {
+  this.needMoreThreshold_ = threshold;
+};
+
+/**
+ * @return {boolean} Whether infinite container could get more children.
+ */
+tv.ui.Container.prototype.hasMore = function() {
+  return this.hasMore_;
+};
+
+/**
+ * Sets whether infinite container could get more children. Usually reset
+ * when last page has been loaded.
+ * @param {boolean} hasMore Whether there are more children.
+ */
+tv.ui.Container.prototype.setHasMore = function(hasMore) {
+  this.hasMore_ = hasMore;
+  this.selectedChild_ && this.checkNeedMore_();
+};
+
+/**
+ * @return {boolean} Whether infinite container is waiting for page load.
+ */
+tv.ui.Container.prototype.isLoading = function() {
+  return !!this.loadDeferred_;
+};
+
+/**
+ * Asks for more children if selection is close enough to the end.
+ * @private
+ */
+tv.ui.Container.prototype.checkNeedMore_ = function() {
+  // Virtual container has fixed number of items.
+  if (!this.isInfinite() ||
+      this.isVirtual() ||
+      !this.hasMore_ ||
+      this.loadDeferred_) {
+    return;
+  }
+
+  var childCount = this.children_.length - (this.loadChild_ ? 1 : 0);
+  if (goog.array.indexOf(this.children_, this.selectedChild_) >=
+      childCount - this.needMoreThreshold_) {
+    this.loadMore_();
+  }
+};
+
+/**
+ * Dispatches need more event and shows loading placeholder until page load
+ * set by listeners completes.
+ * @private
+ */
+tv.ui.Container.prototype.loadMore_ = function() {
+  var event = new tv.ui.Container.NeedMoreEvent();
+  this.dispatchEvent(event);
+  var deferred = event.deferred;
+  if (!deferred) {
+    return;
+  }
+
+  this.loadDeferred_ = deferred;
+  var loadingChild = new tv.ui.Component();
+  loadingChild.decorate(goog.dom.createDom('div', [
+    tv.ui.Container.Class.LOADING_ITEM,
+    tv.ui.Component.Class.DISABLED
+  ].join(' ')));
+  this.setLoadChild_(loadingChild);
+
+  // Page load could complete immediately, or after container has started
+  // other one or has been disposed.
+  deferred.addCallbacks(function() {
+    if (this.loadDeferred_ == deferred) {
+      delete this.loadDeferred_;
+      this.setLoadChild_(null);
+      this.selectedChild_ && this.checkNeedMore_();
+    }
+  }, function() {
+    if (this.loadDeferred_ == deferred) {
+      delete this.loadDeferred_;
+      var retryChild = new tv.ui.Button();
+      retryChild.decorate(goog.dom.createDom(
+          'div', tv.ui.Container.Class.RETRY_ITEM));
+      this.getEventHandler().listen(
+          retryChild, tv.ui.Button.EventType.ACTION, this.onRetryAction_);
+      this.setLoadChild_(retryChild);
+    }
+  }, this);
+};
+
+/**
+ * Replaces loading placeholder or retry button with given one. Selection and
+ * focus move to the last of other children if new child can't take them.
+ * @param {tv.ui.Component} loadChild New loading placeholder or retry button,
+ *     null to remove current one.
+ * @private
+ */
+tv.ui.Container.prototype.setLoadChild_ = function(loadChild) {
+  var previousLoadChild = this.loadChild_;
+  if (previousLoadChild) {
+    if (loadChild) {
+      this.replaceChild(loadChild, previousLoadChild);
+    } else {
+      this.removeChild(previousLoadChild);
+    }
+    previousLoadChild.dispose();
+  } else if (loadChild) {
+    this.insertChildAt(loadChild, this.children_.length);
+  }
+  this.loadChild_ = loadChild;
+};
+
+/**
+ * Restarts failed page load.
+ * @param {goog.events.Event} event Action event.
+ * @private
  */
-tv.ui.Container.prototype.removeChildren = function() {
-  this.setSelectedChild(null);
-
-  if (this.mockScrollElement_) {
-    goog.dom.removeChildren(this.mockScrollElement_);
-  }
-
-  goog.array.forEach(this.children_, function(child) {
-    child.dispose();
-  });
-  this.children_ = [];
-
-  this.scheduleRender();
+tv.ui.Container.prototype.onRetryAction_ = function(event) {
+  event.stopPropagation();
+  this.loadDeferred_ || this.loadMore_();
 };
 
 /**
@@ -440,6 +1614,16 @@ tv.ui.Container.prototype.isVertical = function() {
       this.getElement(), tv.ui.Container.Class.VERTICAL);
 };
 
+/**
+ * Direction is detected once and again only when children or dir attribute of
+ * root element change.
+ * @return {boolean} Whether container is horizontal and its children flow from
+ *     right to left, as of last rendering.
+ */
+tv.ui.Container.prototype.isRightToLeft = function() {
+  return this.rightToLeft_;
+};
+
 /**
  * @return {boolean} Whether container has stack orientation.
  */
@@ -489,76 +1673,698 @@ tv.ui.Container.prototype.isControllingHighlight_ = function() {
 };
 
 /**
- * @return {boolean} Whether policy is to keep selected child at start of
- *     scrolling window.
+ * @return {boolean} Whether policy is to keep selected child at start of
+ *     scrolling window.
+ * @private
+ */
+tv.ui.Container.prototype.isStartScroll_ = function() {
+  goog.asserts.assert(
+      this.scrollElement_, 'Container doesn\'t have scroll.');
+
+  return goog.dom.classes.has(
+      this.scrollElement_, tv.ui.Container.Class.START_SCROLL);
+};
+
+/**
+ * @return {boolean} Whether policy is to scroll only when selected child would
+ *     leave scrolling window.
+ * @private
+ */
+tv.ui.Container.prototype.isEdgeScroll_ = function() {
+  goog.asserts.assert(
+      this.scrollElement_, 'Container doesn\'t have scroll.');
+
+  return goog.dom.classes.has(
+      this.scrollElement_, tv.ui.Container.Class.EDGE_SCROLL);
+};
+
+/**
+ * Sets margin kept around selected child by edge scrolling policy. Container
+ * scrolls as soon as margin would leave scrolling window.
+ * @param {number} margin Number of children, or number of pixels, to keep
+ *     visible before and after selected child.
+ * @param {boolean=} opt_inPixels Whether margin is measured in pixels rather
+ *     than children.
+ * @see tv.ui.Container.Class#EDGE_SCROLL
+ */
+tv.ui.Container.prototype.setEdgeScrollMargin = function(
+    margin, opt_inPixels) {
+  this.edgeScrollMargin_ = margin;
+  this.edgeScrollMarginInPixels_ = !!opt_inPixels;
+  this.scheduleRender();
+};
+
+/**
+ * @return {boolean} Whether container resets its selection on blur.
+ */
+tv.ui.Container.prototype.hasTransientSelection = function() {
+  return goog.dom.classes.has(
+      this.getElement(), tv.ui.Container.Class.TRANSIENT_SELECTION);
+};
+
+/**
+ * @return {boolean} Whether selection wraps around container's ends.
+ */
+tv.ui.Container.prototype.isWrapping = function() {
+  return this.isCarousel() || goog.dom.classes.has(
+      this.getElement(), tv.ui.Container.Class.WRAP);
+};
+
+/**
+ * @return {boolean} Whether container is an infinite carousel.
+ */
+tv.ui.Container.prototype.isCarousel = function() {
+  return goog.dom.classes.has(
+      this.getElement(), tv.ui.Container.Class.CAROUSEL);
+};
+
+/**
+ * @return {boolean} Whether container animates scrolling.
+ */
+tv.ui.Container.prototype.isScrollAnimated = function() {
+  return goog.dom.classes.has(
+      this.getElement(), tv.ui.Container.Class.ANIMATED_SCROLL);
+};
+
+/**
+ * Sets how scrolling is animated. Takes effect only if container has animated
+ * scroll class.
+ * @param {number} duration Duration of animation in milliseconds.
+ * @param {Function=} opt_easing Easing function, such as those of
+ *     goog.fx.easing, which maps 0-1 progress to 0-1 distance. Ease out by
+ *     default.
+ * @see tv.ui.Container.Class#ANIMATED_SCROLL
+ */
+tv.ui.Container.prototype.setScrollAnimation = function(duration, opt_easing) {
+  this.scrollAnimationDuration_ = duration;
+  this.scrollAnimationEasing_ = opt_easing || goog.fx.easing.easeOut;
+};
+
+/**
+ * @return {boolean} Whether scroll animation is in progress.
+ */
+tv.ui.Container.prototype.isScrollAnimating = function() {
+  return !!this.scrollAnimation_;
+};
+
+/**
+ * Animates scroll coordinate from one value to another, interrupting
+ * animation in progress. Dispatches animation end event when finished.
+ * @param {number} from Coordinate to start from, usually displayed one.
+ * @param {number} to Coordinate to end at.
+ * @param {function(number)} f Called in context of container with
+ *     intermediate coordinates, including final one.
+ * @protected
+ */
+tv.ui.Container.prototype.animateScroll = function(from, to, f) {
+  this.stopScrollAnimation();
+
+  var animation = new goog.fx.Animation(
+      [from], [to], this.scrollAnimationDuration_, this.scrollAnimationEasing_);
+  goog.events.listen(
+      animation,
+      [goog.fx.Animation.EventType.ANIMATE, goog.fx.Animation.EventType.FINISH],
+      function(event) {
+        if (event.type == goog.fx.Animation.EventType.FINISH) {
+          delete this.scrollAnimation_;
+        }
+        f.call(this, event.coords[0]);
+        if (event.type == goog.fx.Animation.EventType.FINISH) {
+          this.dispatchEvent(tv.ui.Container.EventType.ANIMATION_END);
+        }
+      },
+      false,
+      this);
+  this.scrollAnimation_ = animation;
+  animation.play();
+};
+
+/**
+ * Stops scroll animation in progress, leaving scrolled element at its
+ * displayed position.
+ * @protected
+ */
+tv.ui.Container.prototype.stopScrollAnimation = function() {
+  if (this.scrollAnimation_) {
+    this.scrollAnimation_.dispose();
+    delete this.scrollAnimation_;
+  }
+};
+
+/**
+ * @return {boolean} Whether children settle with nearest child at start of
+ *     scrolling window after touch scrolling.
+ */
+tv.ui.Container.prototype.isSnappingToChild = function() {
+  return goog.dom.classes.has(
+      this.getElement(), tv.ui.Container.Class.SNAP_TO_CHILD);
+};
+
+/**
+ * @return {boolean} Whether children settle at nearest page after touch
+ *     scrolling.
+ */
+tv.ui.Container.prototype.isSnappingToPage = function() {
+  return goog.dom.classes.has(
+      this.getElement(), tv.ui.Container.Class.SNAP_TO_PAGE);
+};
+
+/**
+ * @return {boolean} Whether mouse wheel scrolls children without moving
+ *     selection in pointer mode.
+ */
+tv.ui.Container.prototype.isWheelScrolling = function() {
+  return goog.dom.classes.has(
+      this.getElement(), tv.ui.Container.Class.WHEEL_SCROLL);
+};
+
+/**
+ * @return {boolean} Whether container asks for more children when selection
+ *     comes close to its end.
+ */
+tv.ui.Container.prototype.isInfinite = function() {
+  return goog.dom.classes.has(
+      this.getElement(), tv.ui.Container.Class.INFINITE);
+};
+
+/**
+ * Handles key event.
+ * Controls child component focus.
+ * @param {goog.events.KeyEvent} event Key event.
+ * @protected
+ */
+tv.ui.Container.prototype.onKey = function(event) {
+  if (this.isStack() ||
+      event.ctrlKey || event.altKey || event.shiftKey || event.metaKey) {
+    return;
+  }
+
+
+  var selectedChild;
+  var previousSelectedChild = this.selectedChild_;
+  var previousItemIndex = this.getItemIndex(previousSelectedChild);
+  var keyCode = event.keyCode;
+  var action = this.getKeyAction(event);
+  if (tv.ui.Container.isDirectionAction_(action) &&
+      this.hasSpatialNavigation_()) {
+    // Only root of spatial navigation moves focus, nested containers let the
+    // key pass through.
+    selectedChild = this.isSpatialNavigationRoot_() &&
+        this.findNearestDescendant_(
+            /** @type {tv.ui.Component} */(event.target),
+            /** @type {tv.ui.Document.Action} */(action));
+    if (selectedChild && selectedChild.tryFocus()) {
+      event.stopPropagation();
+      event.preventDefault();
+    }
+    return;
+  }
+
+  var jumpKey = tv.ui.Container.getJumpKey_(action);
+  var jumpPolicy = jumpKey && this.getJumpPolicy(jumpKey);
+  if (action && action == this.getPreviousAction_()) {
+    selectedChild = this.findPreviousSelectableChild(keyCode);
+  } else if (action && action == this.getNextAction_()) {
+    selectedChild = this.findNextSelectableChild(keyCode);
+  } else if (jumpKey == tv.ui.Container.JumpKey.DIGIT) {
+    if (jumpPolicy == tv.ui.Container.JumpPolicy.ORDINAL) {
+      selectedChild = this.enterOrdinalDigit_(
+          tv.ui.Document.getActionDigit(action), keyCode);
+
+      // Digit is consumed even if ordinal number isn't complete yet.
+      event.stopPropagation();
+      event.preventDefault();
+    }
+  } else if (jumpPolicy && jumpPolicy != tv.ui.Container.JumpPolicy.NONE) {
+    selectedChild = this.findJumpTarget_(
+        jumpPolicy,
+        jumpKey == tv.ui.Container.JumpKey.PAGE_UP ||
+            jumpKey == tv.ui.Container.JumpKey.HOME,
+        keyCode);
+  }
+
+  if (this.moveSelection_(selectedChild, keyCode)) {
+    event.stopPropagation();
+    event.preventDefault();
+  }
+
+  if (!this.isVirtual() || !previousSelectedChild) {
+    return;
+  }
+
+  // Listeners of BEFORE_SELECT_CHILD event could veto jump of virtual
+  // container, which has moved its window already.
+  if (this.selectedChild_ == previousSelectedChild) {
+    this.restoreVirtualSelection_(previousItemIndex);
+  }
+
+  // Previously selected child could be recycled on the way, but it has kept
+  // state of its former item until selection left it.
+  var itemIndex = this.getItemIndex(previousSelectedChild);
+  if (this.selectedChild_ != previousSelectedChild &&
+      itemIndex != previousItemIndex) {
+    this.renderVirtualItem_(previousSelectedChild, itemIndex);
+  }
+};
+
+/**
+ * Moves selection to given child on user's request and focuses it. Listeners
+ * of BEFORE_SELECT_CHILD event could veto or redirect selection change.
+ * @param {tv.ui.Component} selectedChild Child to select, if any.
+ * @param {number} keyCode Code of key that triggered selection change, or 0.
+ * @return {boolean} Whether request has been handled, i.e. there is a child
+ *     to select other than currently selected one.
+ * @private
+ */
+tv.ui.Container.prototype.moveSelection_ = function(selectedChild, keyCode) {
+  if (!selectedChild || selectedChild == this.selectedChild_) {
+    return false;
+  }
+
+  // Focusing newly selected child updates selection as well.
+  var beforeSelectChildEvent =
+      this.dispatchBeforeSelectChild_(selectedChild, keyCode);
+  if (beforeSelectChildEvent && beforeSelectChildEvent.child) {
+    beforeSelectChildEvent.child.tryFocus();
+  }
+  return true;
+};
+
+/**
+ * Handles mouse wheel event.
+ * In pointer mode, moves selection to next or previous child, or scrolls
+ * children if container scrolls with wheel. Event is left to ancestors if
+ * there is nowhere to move in wheel direction.
+ * @param {goog.events.MouseWheelEvent} event Mouse wheel event.
+ * @protected
+ */
+tv.ui.Container.prototype.onMouseWheel = function(event) {
+  if (!this.getDocument().isPointerModeEnabled() ||
+      !(this.isHorizontal() || this.isVertical())) {
+    return;
+  }
+
+  // Most of the mice have only vertical wheel, let it move selection of
+  // horizontal container as well.
+  var rows = this.isHorizontal() && event.deltaX ?
+      (this.rightToLeft_ ? -event.deltaX : event.deltaX) : event.deltaY;
+  if (!rows) {
+    return;
+  }
+
+  var handled;
+  if (this.isWheelScrolling()) {
+    handled = this.scrollByWheel_(rows);
+  } else {
+    handled = this.moveSelection_(rows > 0 ?
+        this.findNextSelectableChild() : this.findPreviousSelectableChild(), 0);
+  }
+
+  if (handled) {
+    // Ancestors shouldn't react to the same wheel event.
+    event.stopPropagation();
+    event.preventDefault();
+  }
+};
+
+/**
+ * Scrolls children without moving selection.
+ * @param {number} rows Number of rows reported by mouse wheel, positive
+ *     towards the end of container.
+ * @return {boolean} Whether children have been scrolled.
+ * @private
+ */
+tv.ui.Container.prototype.scrollByWheel_ = function(rows) {
+  // Bounds of scrolling are known only once container has been rendered.
+  if (!this.scrollElement_ || this.isCarousel() ||
+      !goog.isDef(this.minScrollElementCoordinate_)) {
+    return false;
+  }
+
+  var scrollElementCoordinate = goog.math.clamp(
+      this.scrollElementCoordinate_ - rows * tv.ui.Container.WHEEL_ROW_SIZE,
+      this.minScrollElementCoordinate_, 0);
+  if (scrollElementCoordinate == this.scrollElementCoordinate_) {
+    return false;
+  }
+
+  this.scrollTo_(scrollElementCoordinate);
+  this.updateSlits_();
+  return true;
+};
+
+/**
+ * @param {?tv.ui.Document.Action} action Action of pressed key.
+ * @return {?tv.ui.Container.JumpKey} Jump key that action stands for, or null
+ *     if it doesn't stand for any.
+ * @private
+ */
+tv.ui.Container.getJumpKey_ = function(action) {
+  if (tv.ui.Document.getActionDigit(action) != -1) {
+    return tv.ui.Container.JumpKey.DIGIT;
+  }
+  return goog.object.contains(tv.ui.Container.JumpKey, action) ?
+      /** @type {tv.ui.Container.JumpKey} */(action) : null;
+};
+
+/**
+ * @param {tv.ui.Container.JumpKey} jumpKey Jump key.
+ * @return {tv.ui.Container.JumpPolicy} How container moves its selection in
+ *     response to given key.
+ */
+tv.ui.Container.prototype.getJumpPolicy = function(jumpKey) {
+  return this.jumpPolicies_ && this.jumpPolicies_[jumpKey] ||
+      tv.ui.Container.DEFAULT_JUMP_POLICIES[jumpKey];
+};
+
+/**
+ * Sets how container moves its selection in response to given key.
+ * Digit keys support only none and ordinal policies, other keys support all
+ * policies except ordinal. Ignored by stack containers.
+ * @param {tv.ui.Container.JumpKey} jumpKey Jump key.
+ * @param {tv.ui.Container.JumpPolicy} jumpPolicy Jump policy.
+ */
+tv.ui.Container.prototype.setJumpPolicy = function(jumpKey, jumpPolicy) {
+  this.jumpPolicies_ = this.jumpPolicies_ || {};
+  this.jumpPolicies_[jumpKey] = jumpPolicy;
+};
+
+/**
+ * Looks for child to select in response to jump key.
+ * Virtual container jumps between all of its items.
+ * @param {tv.ui.Container.JumpPolicy} jumpPolicy Either page or edge policy.
+ * @param {boolean} backward Whether selection should move towards start.
+ * @param {number=} opt_keyCode Code of key that triggered selection change.
+ * @return {tv.ui.Component} Selectable child component or null if there are
+ *     none in given direction.
+ * @private
+ */
+tv.ui.Container.prototype.findJumpTarget_ = function(
+    jumpPolicy, backward, opt_keyCode) {
+  if (!this.selectedChild_) {
+    return null;
+  }
+
+  var itemCount = this.isVirtual() ?
+      this.virtualItemCount_ : this.children_.length;
+  var itemIndex;
+  if (jumpPolicy == tv.ui.Container.JumpPolicy.PAGE) {
+    var pageSize = this.getPageSize_();
+    itemIndex = this.getItemIndex(this.selectedChild_) +
+        (backward ? -pageSize : pageSize);
+  } else {
+    itemIndex = backward ? 0 : itemCount - 1;
+  }
+
+  return this.findSelectableChildNear_(
+      goog.math.clamp(itemIndex, 0, itemCount - 1), opt_keyCode);
+};
+
+/**
+ * Adds digit to ordinal number being entered and looks for child with that
+ * ordinal. Digit starts new ordinal number if there is no child with resulting
+ * one, or if user paused entry for too long.
+ * @param {number} digit Entered digit.
+ * @param {number=} opt_keyCode Code of key that triggered selection change.
+ * @return {tv.ui.Component} Selectable child component nearest to the one with
+ *     entered ordinal, or null if there are none.
+ * @private
+ */
+tv.ui.Container.prototype.enterOrdinalDigit_ = function(digit, opt_keyCode) {
+  var itemCount = this.isVirtual() ?
+      this.virtualItemCount_ : this.children_.length;
+  var ordinal = Number(this.ordinalEntry_ + digit);
+  if (ordinal > itemCount) {
+    ordinal = digit;
+  }
+  this.ordinalEntry_ = ordinal ? String(ordinal) : '';
+
+  goog.Timer.clear(this.ordinalEntryTimerId_);
+  this.ordinalEntryTimerId_ = goog.Timer.callOnce(function() {
+    this.ordinalEntry_ = '';
+    this.ordinalEntryTimerId_ = null;
+  }, tv.ui.Container.ORDINAL_ENTRY_TIMEOUT, this);
+
+  return ordinal && this.selectedChild_ ?
+      this.findSelectableChildNear_(ordinal - 1, opt_keyCode) : null;
+};
+
+/**
+ * Looks for selectable child nearest to given item. Children between given
+ * item and currently selected child are preferred. Virtual container moves its
+ * window of children to given item first.
+ * @param {number} itemIndex Index of item to start with.
+ * @param {number=} opt_keyCode Code of key that triggered selection change.
+ * @return {tv.ui.Component} Selectable child component, or currently selected
+ *     one if there are no others.
+ * @private
+ */
+tv.ui.Container.prototype.findSelectableChildNear_ = function(
+    itemIndex, opt_keyCode) {
+  if (this.isVirtual()) {
+    var selectedItemIndex = this.getItemIndex(this.selectedChild_);
+    this.updateVirtualWindow_(itemIndex);
+
+    // Selected child recycled on the way shouldn't render the very item
+    // selection is about to move to.
+    if (itemIndex != selectedItemIndex && this.children_.length > 1 &&
+        this.getItemIndex(this.selectedChild_) == itemIndex) {
+      this.swapVirtualChildren_(
+          Math.max(0, itemIndex - this.virtualFirstIndex_ - 1));
+    }
+  }
+
+  var childIndex = itemIndex - (this.virtualFirstIndex_ || 0);
+  var selectedChildIndex =
+      goog.array.indexOf(this.children_, this.selectedChild_);
+  var delta = childIndex < selectedChildIndex ? 1 : -1;
+
+  // Look towards selected child first, then in opposite direction.
+  var i;
+  for (i = childIndex; i != selectedChildIndex; i += delta) {
+    if (this.children_[i].getSelectedDescendantOrSelf(opt_keyCode)) {
+      return this.children_[i];
+    }
+  }
+  for (i = childIndex - delta; i >= 0 && i < this.children_.length;
+      i -= delta) {
+    if (this.children_[i].getSelectedDescendantOrSelf(opt_keyCode)) {
+      return this.children_[i];
+    }
+  }
+  return this.selectedChild_;
+};
+
+/**
+ * Counts children that fit into scrolling window completely.
+ * @return {number} Number of fully visible children, at least 1.
+ * @private
+ */
+tv.ui.Container.prototype.getPageSize_ = function() {
+  if (!this.scrollElement_) {
+    return this.children_.length;
+  }
+
+  var scrollWindowSize = this.getOffsetSize_(this.element_);
+  var scrollWindowCoordinate =
+      -(this.scrollElementCoordinate_ || 0) - this.carouselShift_;
+  var itemCount = this.isVirtual() ?
+      this.virtualItemCount_ : this.children_.length;
+
+  var pageSize = 0;
+  for (var itemIndex = 0; itemIndex < itemCount; itemIndex++) {
+    if (!this.isItemVisible_(itemIndex)) {
+      continue;
+    }
+    var childElement = this.getChildElement_(itemIndex);
+    var childCoordinate = this.getOffsetCoordinate_(childElement);
+    if (childCoordinate >= scrollWindowCoordinate &&
+        childCoordinate + this.getOffsetSize_(childElement) <=
+            scrollWindowCoordinate + scrollWindowSize) {
+      pageSize++;
+    }
+  }
+  return Math.max(1, pageSize);
+};
+
+/**
+ * @return {?tv.ui.Document.Action} Action that moves the selection towards
+ *     start of the container, or null if there is no such action.
+ * @private
+ */
+tv.ui.Container.prototype.getPreviousAction_ = function() {
+  return this.isHorizontal() ?
+             (this.rightToLeft_ ? tv.ui.Document.Action.RIGHT :
+                                  tv.ui.Document.Action.LEFT) :
+         this.isVertical() ? tv.ui.Document.Action.UP :
+         null;
+};
+
+/**
+ * @return {?tv.ui.Document.Action} Action that moves the selection towards end
+ *     of the container, or null if there is no such action.
+ * @private
+ */
+tv.ui.Container.prototype.getNextAction_ = function() {
+  return this.isHorizontal() ?
+             (this.rightToLeft_ ? tv.ui.Document.Action.LEFT :
+                                  tv.ui.Document.Action.RIGHT) :
+         this.isVertical() ? tv.ui.Document.Action.DOWN :
+         null;
+};
+
+/**
+ * @param {number=} opt_keyCode Key code.
+ * @return {?tv.ui.Document.Action} Action that key is translated to, or null
+ *     if key code is not given or doesn't have action.
  * @private
  */
-tv.ui.Container.prototype.isStartScroll_ = function() {
-  goog.asserts.assert(
-      this.scrollElement_, 'Container doesn\'t have scroll.');
-
-  return goog.dom.classes.has(
-      this.scrollElement_, tv.ui.Container.Class.START_SCROLL);
+tv.ui.Container.prototype.getKeyCodeAction_ = function(opt_keyCode) {
+  return opt_keyCode ? this.getDocument().getKeyAction(opt_keyCode) : null;
 };
 
 /**
- * @return {boolean} Whether container resets its selection on blur.
+ * @param {?tv.ui.Document.Action} action Action.
+ * @return {boolean} Whether action is one of arrow directions.
+ * @private
  */
-tv.ui.Container.prototype.hasTransientSelection = function() {
-  return goog.dom.classes.has(
-      this.getElement(), tv.ui.Container.Class.TRANSIENT_SELECTION);
+tv.ui.Container.isDirectionAction_ = function(action) {
+  return action == tv.ui.Document.Action.LEFT ||
+      action == tv.ui.Document.Action.RIGHT ||
+      action == tv.ui.Document.Action.UP ||
+      action == tv.ui.Document.Action.DOWN;
 };
 
 /**
- * Handles key event.
- * Controls child component focus.
- * @param {goog.events.KeyEvent} event Key event.
- * @protected
+ * @return {boolean} Whether container or one of its ancestors uses spatial
+ *     navigation.
+ * @private
  */
-tv.ui.Container.prototype.onKey = function(event) {
-  if (this.isStack() ||
-      event.ctrlKey || event.altKey || event.shiftKey || event.metaKey) {
-    return;
+tv.ui.Container.prototype.hasSpatialNavigation_ = function() {
+  if (this.getDocument().isSpatialNavigation()) {
+    return true;
   }
-
-
-  var selectedChild;
-  var keyCode = event.keyCode;
-  if (keyCode == this.getPreviousKey_()) {
-    selectedChild = this.findPreviousSelectableChild(keyCode);
-  } else if (keyCode == this.getNextKey_()) {
-    selectedChild = this.findNextSelectableChild(keyCode);
+  for (var container = this; container; container = container.getParent()) {
+    if (goog.dom.classes.has(
+        container.getElement(), tv.ui.Container.Class.SPATIAL_NAVIGATION)) {
+      return true;
+    }
   }
+  return false;
+};
 
-  if (selectedChild) {
-    this.setSelectedChild(selectedChild);
-    this.tryFocus();
-
-    event.stopPropagation();
-    event.preventDefault();
-  }
+/**
+ * @return {boolean} Whether container chooses focused component by geometry
+ *     among its descendants. That's either container that has spatial
+ *     navigation class or root container if spatial navigation is enabled in
+ *     whole document.
+ * @private
+ */
+tv.ui.Container.prototype.isSpatialNavigationRoot_ = function() {
+  return goog.dom.classes.has(
+      this.getElement(), tv.ui.Container.Class.SPATIAL_NAVIGATION) ||
+      (!this.getParent() && this.getDocument().isSpatialNavigation());
 };
 
 /**
- * @return {number} Code for the key that moves the selection towards start of
- *     the container, or 0 if there is no such key.
+ * Looks for descendant which is visually nearest to given component in
+ * direction of arrow key.
+ * @param {tv.ui.Component} component Component to start from, usually the
+ *     focused one.
+ * @param {tv.ui.Document.Action} action Direction action.
+ * @return {tv.ui.Component} Nearest focusable descendant or null if there are
+ *     none in given direction.
  * @private
  */
-tv.ui.Container.prototype.getPreviousKey_ = function() {
-  return this.isHorizontal() ? goog.events.KeyCodes.LEFT :
-         this.isVertical() ? goog.events.KeyCodes.UP :
-         0;
+tv.ui.Container.prototype.findNearestDescendant_ = function(
+    component, action) {
+  var horizontal = action == tv.ui.Document.Action.LEFT ||
+      action == tv.ui.Document.Action.RIGHT;
+  var forward = action == tv.ui.Document.Action.RIGHT ||
+      action == tv.ui.Document.Action.DOWN;
+  var fromBounds = goog.style.getBounds(component.getElement());
+
+  var candidates = [];
+  this.collectFocusableDescendants_(candidates);
+
+  var nearestComponent = null;
+  var nearestRank;
+  goog.array.forEach(candidates, function(candidate) {
+    if (candidate == component) {
+      return;
+    }
+
+    var bounds = goog.style.getBounds(candidate.getElement());
+    // Reduce to one-dimensional ranges along and across direction of movement.
+    var fromStart = horizontal ? fromBounds.left : fromBounds.top;
+    var fromEnd =
+        fromStart + (horizontal ? fromBounds.width : fromBounds.height);
+    var start = horizontal ? bounds.left : bounds.top;
+    var end = start + (horizontal ? bounds.width : bounds.height);
+    var fromCrossStart = horizontal ? fromBounds.top : fromBounds.left;
+    var fromCrossEnd =
+        fromCrossStart + (horizontal ? fromBounds.height : fromBounds.width);
+    var crossStart = horizontal ? bounds.top : bounds.left;
+    var crossEnd = crossStart + (horizontal ? bounds.height : bounds.width);
+
+    // Candidate should lie beyond edge of component in direction of movement,
+    // or at least its center should.
+    var gap = forward ? start - fromEnd : fromStart - end;
+    var centerGap = forward ?
+        (start + end) / 2 - fromEnd : fromStart - (start + end) / 2;
+    if (gap < 0 && centerGap <= 0) {
+      return;
+    }
+
+    // Negative overlap is gap across direction of movement.
+    var overlap = Math.min(crossEnd, fromCrossEnd) -
+        Math.max(crossStart, fromCrossStart);
+    // Candidates are compared by distance first. Among equally near ones
+    // (e.g. below wide component), the one overlapping component the most is
+    // preferred, so that candidate which merely touches its edge loses to
+    // overlapping one. Remaining ties are broken by distance between centers
+    // and then by leading edge, so that DOM order never matters.
+    var rank = [
+      Math.max(0, gap) +
+          tv.ui.Container.SPATIAL_CROSS_GAP_WEIGHT * Math.max(0, -overlap),
+      -Math.max(0, overlap),
+      Math.abs(crossStart + crossEnd - fromCrossStart - fromCrossEnd) / 2,
+      crossStart
+    ];
+    var nearer = !nearestComponent;
+    for (var i = 0; !nearer && i < rank.length && rank[i] <= nearestRank[i];
+        i++) {
+      nearer = rank[i] < nearestRank[i];
+    }
+    if (nearer) {
+      nearestComponent = candidate;
+      nearestRank = rank;
+    }
+  });
+
+  return nearestComponent;
 };
 
 /**
- * @return {number} Code for the key that moves the selection towards end of the
- *     container, or 0 if there is no such key.
+ * Collects focusable descendants that are not containers. Only selected child
+ * of stack container is considered, as others are not displayed.
+ * @param {Array.<tv.ui.Component>} components List to add components to.
  * @private
  */
-tv.ui.Container.prototype.getNextKey_ = function() {
-  return this.isHorizontal() ? goog.events.KeyCodes.RIGHT :
-         this.isVertical() ? goog.events.KeyCodes.DOWN :
-         0;
+tv.ui.Container.prototype.collectFocusableDescendants_ = function(
+    components) {
+  var children = !this.isStack() ? this.children_ :
+      this.selectedChild_ ? [this.selectedChild_] : [];
+  goog.array.forEach(children, function(child) {
+    if (!child.isSelectable()) {
+      return;
+    }
+    if (child instanceof tv.ui.Container) {
+      child.collectFocusableDescendants_(components);
+    } else {
+      components.push(child);
+    }
+  });
 };
 
 // TODO(maksym): Change to findFirstSelectableChild().
@@ -572,7 +2378,7 @@ tv.ui.Container.prototype.selectFirstDescendant = function() {
   return goog.base(this, 'selectFirstDescendant') &&
       goog.array.some(this.children_, function(child) {
         if (child.selectFirstDescendant()) {
-          this.setSelectedChild(child);
+          this.selectChild_(child);
           return true;
         }
         return false;
@@ -593,16 +2399,19 @@ tv.ui.Container.prototype.adjustSelectionFromKey = function(opt_keyCode) {
     return false;
   }
   var indexBegin, indexEnd;
-  if (opt_keyCode === this.getNextKey_()) {
+  var action = this.getKeyCodeAction_(opt_keyCode);
+  if (action && action == this.getNextAction_()) {
     // We entered the container by pressing 'right' or 'down'.
     indexBegin = 0;
     indexEnd = this.children_.length;
-  } else if (opt_keyCode === this.getPreviousKey_()) {
+  } else if (action && action == this.getPreviousAction_()) {
     // We entered the container by pressing 'left' or 'up'.
     indexBegin = this.children_.length - 1;
     indexEnd = -1;
-  } else {
-    // Don't change selection in this container.
+  }
+  if (!goog.isDef(indexBegin) || this.isVirtual()) {
+    // Don't change selection in this container. Virtual container keeps its
+    // selection as well, since only a window of its items is decorated.
     return this.selectedChild_ &&
            (this.selectedChild_.adjustSelectionFromKey &&
             this.selectedChild_.adjustSelectionFromKey(opt_keyCode) ||
@@ -614,7 +2423,7 @@ tv.ui.Container.prototype.adjustSelectionFromKey = function(opt_keyCode) {
     if (child.adjustSelectionFromKey &&
         child.adjustSelectionFromKey(opt_keyCode) ||
         child.isSelectable()) {
-      this.setSelectedChild(child);
+      this.selectChild_(child);
       return true;
     }
   }
@@ -625,7 +2434,8 @@ tv.ui.Container.prototype.adjustSelectionFromKey = function(opt_keyCode) {
  * Looks for selectable child components before currently selected one.
  * @param {number} opt_keyCode Code of key that triggered selection change.
  * @return {tv.ui.Component} Selectable child component or null if there are
- *     none before currently selected one.
+ *     none before currently selected one. Wrapping container looks through
+ *     children after selected one as well.
  */
 tv.ui.Container.prototype.findPreviousSelectableChild = function(opt_keyCode) {
   return this.findSelectableChild_(-1, 0, opt_keyCode);
@@ -635,7 +2445,8 @@ tv.ui.Container.prototype.findPreviousSelectableChild = function(opt_keyCode) {
  * Looks for selectable child components after currently selected one.
  * @param {number} opt_keyCode Code of key that triggered selection change.
  * @return {tv.ui.Component} Selectable child component or null if there are
- *     none after currently selected one.
+ *     none after currently selected one. Wrapping container looks through
+ *     children before selected one as well.
  */
 tv.ui.Container.prototype.findNextSelectableChild = function(opt_keyCode) {
   return this.findSelectableChild_(1, this.children_.length - 1, opt_keyCode);
@@ -645,7 +2456,8 @@ tv.ui.Container.prototype.findNextSelectableChild = function(opt_keyCode) {
  * Looks for selectable child components in given direction relatively to
  * currently selected one.
  * @param {number} delta +/-1 for direction.
- * @param {number} lastIndex Last child index.
+ * @param {number} lastIndex Last child index. Wrapping container continues
+ *     from the opposite end.
  * @param {number} opt_keyCode Code of key that triggered selection change.
  * @return {tv.ui.Component} Selectable child component or null if there are
  *     none in given direction.
@@ -657,17 +2469,25 @@ tv.ui.Container.prototype.findSelectableChild_ = function(
     return null;
   }
 
-  var selectedChildIndex =
-      goog.array.indexOf(this.children_, this.selectedChild_);
+  var childIndex = goog.array.indexOf(this.children_, this.selectedChild_);
+
+  // Every other child is visited at most once, so search ends before going
+  // full circle even if none of them is selectable.
+  for (var step = 1; step < this.children_.length; step++) {
+    if (childIndex != lastIndex) {
+      childIndex += delta;
+    } else if (this.isWrapping()) {
+      // Continue from the opposite end.
+      childIndex -= delta * (this.children_.length - 1);
+    } else {
+      return null;
+    }
 
-  while (selectedChildIndex != lastIndex) {
-    selectedChildIndex += delta;
-    var selectedChild = this.children_[selectedChildIndex];
-    if (selectedChild.getSelectedDescendantOrSelf(opt_keyCode)) {
-      return selectedChild;
+    var child = this.children_[childIndex];
+    if (child.getSelectedDescendantOrSelf(opt_keyCode)) {
+      return child;
     }
   }
-
   return null;
 };
 
@@ -698,7 +2518,8 @@ tv.ui.Container.prototype.getSelectedChild = function() {
 };
 
 /**
- * Sets currently selected child.
+ * Sets currently selected child, unless listeners of BEFORE_SELECT_CHILD event
+ * veto or redirect selection change.
  * @param {tv.ui.Component} selectedChild Child to select.
  * @param {boolean} opt_noScroll Don't scroll focused component into viewport.
  */
@@ -708,6 +2529,51 @@ tv.ui.Container.prototype.setSelectedChild = function(
     return;
   }
 
+  var beforeSelectChildEvent = this.dispatchBeforeSelectChild_(
+      selectedChild, this.getDocument().getDispatchedKeyCode());
+  if (beforeSelectChildEvent) {
+    this.selectChild_(beforeSelectChildEvent.child, opt_noScroll);
+  }
+};
+
+/**
+ * Dispatches event before selected child changes.
+ * @param {tv.ui.Component} selectedChild Child about to be selected.
+ * @param {number} keyCode Code of key that triggered selection change.
+ * @return {tv.ui.Container.BeforeSelectChildEvent} Dispatched event, whose
+ *     child could be redirected by listeners, or null if selection change has
+ *     been vetoed.
+ * @private
+ */
+tv.ui.Container.prototype.dispatchBeforeSelectChild_ = function(
+    selectedChild, keyCode) {
+  var event = new tv.ui.Container.BeforeSelectChildEvent(
+      this.selectedChild_, selectedChild, keyCode);
+  if (!this.dispatchEvent(event)) {
+    return null;
+  }
+
+  goog.asserts.assert(
+      !event.child || goog.array.contains(this.children_, event.child),
+      'Selection can be redirected only to child of container.');
+  return event;
+};
+
+/**
+ * Sets currently selected child without dispatching BEFORE_SELECT_CHILD event.
+ * Used when selection changes as a consequence of changes in component tree
+ * or focus.
+ * @param {tv.ui.Component} selectedChild Child to select.
+ * @param {boolean=} opt_noScroll Don't scroll focused component into viewport.
+ * @suppress {underscore} Intended to be package-private method, thus shouldn't
+ * be called by anyone else but tv.ui.Container and tv.ui.Document.
+ */
+tv.ui.Container.prototype.selectChild_ = function(
+    selectedChild, opt_noScroll) {
+  if (this.selectedChild_ == selectedChild) {
+    return;
+  }
+
   if (this.selectedChild_) {
     goog.dom.classes.remove(
         this.selectedChild_.getElement(), tv.ui.Container.Class.SELECTED_CHILD);
@@ -718,7 +2584,8 @@ tv.ui.Container.prototype.setSelectedChild = function(
   if (this.selectedChild_) {
     goog.dom.classes.add(
         this.selectedChild_.getElement(), tv.ui.Container.Class.SELECTED_CHILD);
-    this.skipNextScroll_ = opt_noScroll || false;
+    this.skipNextScroll_ = !!opt_noScroll && this.skipNextScroll_ !== false;
+    this.virtualItemRenderer_ && this.updateVirtualWindow_();
     this.scheduleRender();
   }
 
@@ -726,6 +2593,33 @@ tv.ui.Container.prototype.setSelectedChild = function(
   parent && parent.onChildSelectabilityChange(this);
 
   this.dispatchEvent(tv.ui.Container.EventType.SELECT_CHILD);
+  this.selectedChild_ && this.checkNeedMore_();
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.Container.prototype.measure = function() {
+  goog.base(this, 'measure');
+
+  // Detecting direction takes computed style or even estimation of text.
+  var dirAttribute = this.getElement().getAttribute('dir');
+  if (dirAttribute !== this.detectedDirAttribute_) {
+    this.detectedDirAttribute_ = dirAttribute;
+    this.rightToLeft_ = this.isHorizontal() && this.detectRightToLeft_();
+  }
+  if (!this.isStack()) {
+    if (this.isVirtual() && this.children_.length) {
+      this.pendingVirtualPadding_ =
+          this.getOffsetCoordinate_(
+              this.getChildElement_(this.virtualFirstIndex_)) -
+          this.getOffsetCoordinate_(this.getChildElement_(0));
+    }
+    // Highlight is measured relative to displayed children, so do it before
+    // carousel shift changes.
+    this.measureHighlight_();
+    this.measureScroll_();
+  }
 };
 
 /**
@@ -734,62 +2628,128 @@ tv.ui.Container.prototype.setSelectedChild = function(
 tv.ui.Container.prototype.render = function() {
   goog.base(this, 'render');
 
+  goog.dom.classes.enable(
+      this.getElement(),
+      tv.ui.Container.Class.RIGHT_TO_LEFT,
+      this.rightToLeft_);
   if (!this.isStack()) {
+    if (goog.isDef(this.pendingVirtualPadding_)) {
+      this.setVirtualPadding_(this.pendingVirtualPadding_);
+      delete this.pendingVirtualPadding_;
+    }
     this.scroll_();
     this.updateHighlight_();
   }
 };
 
 /**
- * Scrolls children according to scrolling window policy.
+ * Measures where children should be scrolled according to scrolling window
+ * policy.
  * @private
  */
-tv.ui.Container.prototype.scroll_ = function() {
+tv.ui.Container.prototype.measureScroll_ = function() {
+  var skipScroll = this.skipNextScroll_;
+  delete this.skipNextScroll_;
+
   // Do nothing if container is not scrollable.
   if (!this.scrollElement_) {
     return;
   }
 
+  this.scrollWindowSize_ = this.getOffsetSize_(this.element_);
+  this.allChildrenSize_ = this.getScrollSize_(
+      this.mockScrollElement_ || this.scrollElement_);
   // TODO(maksym): Minimum coordinate can contradict scrolling policy.
-  this.minScrollElementCoordinate_ = Math.min(0,
-      this.getOffsetSize_(this.element_) -
-      this.getScrollSize_(this.mockScrollElement_ || this.scrollElement_));
+  this.minScrollElementCoordinate_ =
+      Math.min(0, this.scrollWindowSize_ - this.allChildrenSize_);
 
-  if (this.skipNextScroll_) {
-    this.skipNextScroll_ = false;
+  if (skipScroll) {
     return;
   }
 
   // No children or all children are non-focusable?
   if (!this.selectedChild_) {
-    // Scroll to start.
-    this.scrollTo_(0);
-
-    // Hide slits.
-    this.startSlitElement_ && goog.dom.classes.remove(
-        this.startSlitElement_, tv.ui.Container.Class.START_SLIT_SHOWN);
-    this.endSlitElement_ && goog.dom.classes.remove(
-        this.endSlitElement_, tv.ui.Container.Class.END_SLIT_SHOWN);
-
+    // Scroll to start and hide slits.
+    this.pendingScroll_ = {scrollElementCoordinate: 0, slitsShown: false};
     return;
   }
 
-  var selectedChildIndex =
-      goog.array.indexOf(this.children_, this.selectedChild_);
+  var selectedChildIndex = this.getItemIndex(this.selectedChild_);
   var selectedChildElement = this.getChildElement_(selectedChildIndex);
 
-  // Policy requires to keep selected child at start of scrolling window.
-  if (this.isStartScroll_()) {
-    this.scrollTo_(-this.getOffsetCoordinate_(selectedChildElement));
+  if (this.isCarousel()) {
+    this.measureCarouselScroll_(selectedChildElement);
+    return;
+  }
 
-    // TODO(maksym): Update slit visibility.
+  var scrollElementCoordinate;
+  if (this.isStartScroll_()) {
+    // Policy requires to keep selected child at start of scrolling window.
+    scrollElementCoordinate = -this.getOffsetCoordinate_(selectedChildElement);
+  } else if (this.isEdgeScroll_()) {
+    scrollElementCoordinate = -this.getEdgeScrollCoordinate_(
+        selectedChildIndex, this.scrollWindowSize_, this.allChildrenSize_);
+  } else {
+    scrollElementCoordinate = -this.getMiddleScrollCoordinate_(
+        selectedChildIndex, this.scrollWindowSize_, this.allChildrenSize_);
+  }
+  this.pendingScroll_ = {scrollElementCoordinate: scrollElementCoordinate};
+};
 
+/**
+ * Scrolls children to position measured by measureScroll_().
+ * @private
+ */
+tv.ui.Container.prototype.scroll_ = function() {
+  var pendingScroll = this.pendingScroll_;
+  if (!pendingScroll) {
     return;
   }
+  delete this.pendingScroll_;
+
+  var carouselChildShifts = pendingScroll.carouselChildShifts;
+  if (carouselChildShifts) {
+    this.carouselChildShifts_ = carouselChildShifts;
+    goog.array.forEach(this.children_, function(child) {
+      tv.ui.Container.setElementPosition_(
+          child.getElement(),
+          this.createCoordinate_(carouselChildShifts[goog.getUid(child)]));
+    }, this);
+  }
 
-  // OK, hard part. Policy requires to position selected child in the middle of
-  // scrolling window.
-  var scrollWindowSize = this.getOffsetSize_(this.element_);
+  this.scrollTo_(pendingScroll.scrollElementCoordinate);
+
+  if (goog.isDef(pendingScroll.slitsShown)) {
+    this.showSlits_(pendingScroll.slitsShown, pendingScroll.slitsShown);
+  } else {
+    this.updateSlits_();
+  }
+};
+
+/**
+ * Shows slits if there are children outside of scrolling window. Uses sizes
+ * as of last measure.
+ * @private
+ */
+tv.ui.Container.prototype.updateSlits_ = function() {
+  this.showSlits_(
+      this.scrollElementCoordinate_ < 0,
+      this.allChildrenSize_ + this.scrollElementCoordinate_ >
+          this.scrollWindowSize_);
+};
+
+/**
+ * Calculates start of scrolling window which positions selected child in the
+ * middle of it when it is possible.
+ * @param {number} selectedChildIndex Index of selected child, or index of item
+ *     for virtual container.
+ * @param {number} scrollWindowSize Size of scrolling window.
+ * @param {number} allChildrenSize Size of all children.
+ * @return {number} Coordinate of first visible child.
+ * @private
+ */
+tv.ui.Container.prototype.getMiddleScrollCoordinate_ = function(
+    selectedChildIndex, scrollWindowSize, allChildrenSize) {
   /**
    * How much space is in scrolling window before selected element. We assume
    * that selected element is positioned at most at the middle of scrolling
@@ -797,8 +2757,7 @@ tv.ui.Container.prototype.scroll_ = function() {
    */
   var spaceBeforeSelectedSize = scrollWindowSize / 2;
 
-  var allChildrenSize = this.getScrollSize_(
-      this.mockScrollElement_ || this.scrollElement_);
+  var selectedChildElement = this.getChildElement_(selectedChildIndex);
   var selectedChildCoordinate = this.getOffsetCoordinate_(
       selectedChildElement);
   // Can we fit selected and last element in half of scrolling window?
@@ -819,10 +2778,9 @@ tv.ui.Container.prototype.scroll_ = function() {
   // Issue have cumulative effect, so it worsens with increasing number of
   // elements.
   var firstVisibleChildElement = selectedChildElement;
-  var startSlitShown = selectedChildIndex != 0;
   for (var childIndex = selectedChildIndex - 1;
       childIndex >= 0; childIndex--) {
-    if (!this.children_[childIndex].isVisible()) {
+    if (!this.isItemVisible_(childIndex)) {
       continue;
     }
     var childElement = this.getChildElement_(childIndex);
@@ -831,18 +2789,82 @@ tv.ui.Container.prototype.scroll_ = function() {
       break;
     }
     firstVisibleChildElement = childElement;
-    startSlitShown = childIndex != 0;
   }
 
-  var firstVisibleChildCoordinate =
-      this.getOffsetCoordinate_(firstVisibleChildElement);
-  var endSlitShown =
-      (allChildrenSize - firstVisibleChildCoordinate) > scrollWindowSize;
+  return this.getOffsetCoordinate_(firstVisibleChildElement);
+};
+
+/**
+ * Calculates start of scrolling window which keeps selected child and margin
+ * around it visible, moving scrolling window as little as possible.
+ * @param {number} selectedChildIndex Index of selected child, or index of item
+ *     for virtual container.
+ * @param {number} scrollWindowSize Size of scrolling window.
+ * @param {number} allChildrenSize Size of all children.
+ * @return {number} Coordinate of scrolling window start.
+ * @private
+ */
+tv.ui.Container.prototype.getEdgeScrollCoordinate_ = function(
+    selectedChildIndex, scrollWindowSize, allChildrenSize) {
+  var selectedChildElement = this.getChildElement_(selectedChildIndex);
+  var marginStartCoordinate = this.getOffsetCoordinate_(selectedChildElement);
+  var marginEndCoordinate =
+      marginStartCoordinate + this.getOffsetSize_(selectedChildElement);
+
+  if (this.edgeScrollMarginInPixels_) {
+    marginStartCoordinate -= this.edgeScrollMargin_;
+    marginEndCoordinate += this.edgeScrollMargin_;
+  } else {
+    // Count only visible children, hidden ones don't take any space.
+    var childCount = this.isVirtual() ?
+        this.virtualItemCount_ : this.children_.length;
+    var marginChildCount = 0;
+    var childIndex;
+    for (childIndex = selectedChildIndex - 1; childIndex >= 0 &&
+        marginChildCount < this.edgeScrollMargin_; childIndex--) {
+      if (this.isItemVisible_(childIndex)) {
+        marginStartCoordinate =
+            this.getOffsetCoordinate_(this.getChildElement_(childIndex));
+        marginChildCount++;
+      }
+    }
+    marginChildCount = 0;
+    for (childIndex = selectedChildIndex + 1; childIndex < childCount &&
+        marginChildCount < this.edgeScrollMargin_; childIndex++) {
+      if (this.isItemVisible_(childIndex)) {
+        var childElement = this.getChildElement_(childIndex);
+        marginEndCoordinate = this.getOffsetCoordinate_(childElement) +
+            this.getOffsetSize_(childElement);
+        marginChildCount++;
+      }
+    }
+  }
+
+  var scrollWindowCoordinate = goog.isDef(this.scrollElementCoordinate_) ?
+      -this.scrollElementCoordinate_ : 0;
+  // Check end first, so that start of selected child wins if it doesn't fit
+  // into scrolling window together with margin.
+  if (marginEndCoordinate > scrollWindowCoordinate + scrollWindowSize) {
+    scrollWindowCoordinate = marginEndCoordinate - scrollWindowSize;
+  }
+  if (marginStartCoordinate < scrollWindowCoordinate) {
+    scrollWindowCoordinate = marginStartCoordinate;
+  }
 
-  // Scroll, finally!
-  this.scrollTo_(-firstVisibleChildCoordinate);
+  // Don't scroll beyond children.
+  return Math.max(0, Math.min(
+      scrollWindowCoordinate, allChildrenSize - scrollWindowSize));
+};
 
-  // Show slits if necessary.
+/**
+ * Updates visibility of slit elements.
+ * @param {boolean} startSlitShown Whether there are children before scrolling
+ *     window.
+ * @param {boolean} endSlitShown Whether there are children after scrolling
+ *     window.
+ * @private
+ */
+tv.ui.Container.prototype.showSlits_ = function(startSlitShown, endSlitShown) {
   if (this.startSlitElement_) {
     goog.dom.classes.enable(
         this.startSlitElement_,
@@ -857,9 +2879,60 @@ tv.ui.Container.prototype.scroll_ = function() {
   }
 };
 
+/**
+ * Measures scrolling of children of carousel, which are shown as a continuous
+ * ring. Scroll coordinate is accumulated across laps of the ring, so when
+ * selection wraps from last child to first one, scroll element keeps moving in
+ * the same direction. Every child is then shifted by the whole size of the
+ * ring when necessary, to appear at position nearest to selected child.
+ * @param {Element} selectedChildElement Element of selected child used for
+ *     measuring.
+ * @private
+ */
+tv.ui.Container.prototype.measureCarouselScroll_ = function(
+    selectedChildElement) {
+  goog.asserts.assert(
+      !this.isVirtual(), 'Virtual container can\'t be a carousel.');
+
+  var scrollWindowSize = this.scrollWindowSize_;
+  var ringSize = this.allChildrenSize_;
+  if (!ringSize) {
+    return;
+  }
+
+  // Choose lap of the ring which is nearest to previously selected child.
+  var selectedChildCoordinate = this.getOffsetCoordinate_(
+      selectedChildElement);
+  var previousCoordinate = goog.isDef(this.carouselCoordinate_) ?
+      this.carouselCoordinate_ : selectedChildCoordinate;
+  this.carouselCoordinate_ = selectedChildCoordinate + ringSize * Math.round(
+      (previousCoordinate - selectedChildCoordinate) / ringSize);
+  this.carouselShift_ = this.carouselCoordinate_ - selectedChildCoordinate;
+
+  // Place every child at the copy of the ring nearest to selected child.
+  var carouselChildShifts = {};
+  goog.array.forEach(this.children_, function(child, childIndex) {
+    var childCoordinate = this.getOffsetCoordinate_(
+        this.getChildElement_(childIndex));
+    carouselChildShifts[goog.getUid(child)] = ringSize * Math.round(
+        (this.carouselCoordinate_ - childCoordinate) / ringSize);
+  }, this);
+
+  var spaceBeforeSelectedSize = this.isStartScroll_() ? 0 :
+      (scrollWindowSize - this.getOffsetSize_(selectedChildElement)) / 2;
+  this.pendingScroll_ = {
+    scrollElementCoordinate: spaceBeforeSelectedSize - this.carouselCoordinate_,
+    carouselChildShifts: carouselChildShifts,
+    // Ring has no ends, so there are always children on both sides of
+    // scrolling window unless all of them fit into it.
+    slitsShown: ringSize > scrollWindowSize
+  };
+};
+
 /**
  * Returns child element used for measuring during scrolling.
- * @param {number} childIndex Index of child.
+ * @param {number} childIndex Index of child, or index of item for virtual
+ *     container.
  * @return {Element} Either root element of child component or mock child
  *     element.
  * @private
@@ -871,50 +2944,272 @@ tv.ui.Container.prototype.getChildElement_ = function(childIndex) {
 };
 
 /**
- * Sets position of real and mock scroll elements.
+ * Scrolls real and mock scroll elements to given position. Scrolling is
+ * animated if container has animated scroll, except during touch interaction.
  * @param {number} scrollElementCoordinate Position to set.
  * @param {boolean=} opt_touchConstraints Whether to constrain scrolling as
- *     expected during touch interaction.
+ *     expected during touch interaction, when children could be scrolled
+ *     beyond their bounds a bit.
  * @private
  */
 tv.ui.Container.prototype.scrollTo_ = function(
     scrollElementCoordinate, opt_touchConstraints) {
-  // TODO(maksym): Implement bouncing in touch mode instead.
-  this.scrollElementCoordinate_ = opt_touchConstraints ?
-      Math.max(
-          Math.min(0, scrollElementCoordinate),
-          this.minScrollElementCoordinate_) :
-      scrollElementCoordinate;
-
-  var scrollElementPosition =
-      this.createCoordinate_(this.scrollElementCoordinate_);
+  if (opt_touchConstraints) {
+    var maxOverscroll = this.getOffsetSize_(this.element_) *
+        tv.ui.Container.MAX_OVERSCROLL_RATIO;
+    scrollElementCoordinate = goog.math.clamp(
+        scrollElementCoordinate,
+        this.minScrollElementCoordinate_ - maxOverscroll,
+        maxOverscroll);
+  }
+
+  var previousCoordinate = this.scrollElementCoordinate_;
+  this.scrollElementCoordinate_ = scrollElementCoordinate;
+  if (opt_touchConstraints || !this.isScrollAnimated() ||
+      !goog.isDef(this.displayedScrollElementCoordinate_)) {
+    this.stopScrollAnimation();
+    this.setScrollElementCoordinate_(scrollElementCoordinate);
+  } else if (scrollElementCoordinate != previousCoordinate ||
+      !this.scrollAnimation_ &&
+      scrollElementCoordinate != this.displayedScrollElementCoordinate_) {
+    // New key may arrive in the middle of animation, then scrolling continues
+    // from displayed position towards new one.
+    this.animateScroll(
+        this.displayedScrollElementCoordinate_,
+        scrollElementCoordinate,
+        this.onScrollAnimationFrame_);
+  }
+};
+
+/**
+ * Sets displayed position of scroll elements during scroll animation.
+ * @param {number} scrollElementCoordinate Position to set.
+ * @private
+ */
+tv.ui.Container.prototype.onScrollAnimationFrame_ = function(
+    scrollElementCoordinate) {
+  this.setScrollElementCoordinate_(scrollElementCoordinate);
+  // Highlight outside of scroll element follows selected child.
+  this.updateHighlight_();
+};
+
+/**
+ * @return {boolean} Whether children are scrolled beyond their bounds during
+ *     touch interaction.
+ * @private
+ */
+tv.ui.Container.prototype.isOverscrolled_ = function() {
+  return this.scrollElementCoordinate_ > 0 ||
+      this.scrollElementCoordinate_ < this.minScrollElementCoordinate_;
+};
+
+/**
+ * Animates children back within their bounds after touch scrolling. Snaps
+ * them to nearest child or page and selects child at start of scrolling
+ * window, if container snaps.
+ * @private
+ */
+tv.ui.Container.prototype.settle_ = function() {
+  // Children of carousel go round, so they have no bounds to settle within.
+  if (this.isCarousel()) {
+    return;
+  }
+
+  var scrollWindowCoordinate = -goog.math.clamp(
+      this.scrollElementCoordinate_, this.minScrollElementCoordinate_, 0);
+
+  var snapItemIndex = -1;
+  if (this.isSnappingToChild() || this.isSnappingToPage()) {
+    if (this.isSnappingToPage()) {
+      var scrollWindowSize = this.getOffsetSize_(this.element_);
+      scrollWindowCoordinate = scrollWindowSize *
+          Math.round(scrollWindowCoordinate / scrollWindowSize);
+    }
+    snapItemIndex = this.findItemNearCoordinate_(scrollWindowCoordinate);
+    if (snapItemIndex != -1 && this.isSnappingToChild()) {
+      scrollWindowCoordinate = this.getOffsetCoordinate_(
+          this.getChildElement_(snapItemIndex));
+    }
+    scrollWindowCoordinate = goog.math.clamp(
+        scrollWindowCoordinate, 0, -this.minScrollElementCoordinate_);
+  }
+
+  if (-scrollWindowCoordinate != this.scrollElementCoordinate_) {
+    this.scrollElementCoordinate_ = -scrollWindowCoordinate;
+    this.animateScroll(
+        this.displayedScrollElementCoordinate_,
+        this.scrollElementCoordinate_,
+        this.onScrollAnimationFrame_);
+    this.updateSlits_();
+  }
+
+  var snapChildIndex = this.isVirtual() ?
+      snapItemIndex - this.virtualFirstIndex_ : snapItemIndex;
+  var snapChild = snapItemIndex != -1 && this.children_[snapChildIndex];
+  if (snapChild && snapChild != this.selectedChild_ &&
+      snapChild.getSelectedDescendantOrSelf()) {
+    // Children are already where they should be, so selection shouldn't
+    // scroll them.
+    if (this.isFocused()) {
+      snapChild.tryFocus(true);
+    } else {
+      this.setSelectedChild(snapChild, true);
+    }
+  }
+};
+
+/**
+ * @param {number} coordinate Coordinate within scroll element.
+ * @return {number} Index of visible item whose start is nearest to given
+ *     coordinate, -1 if there are no visible items.
+ * @private
+ */
+tv.ui.Container.prototype.findItemNearCoordinate_ = function(coordinate) {
+  var itemCount = this.isVirtual() ?
+      this.virtualItemCount_ : this.children_.length;
+  var nearestItemIndex = -1;
+  var nearestDistance = Infinity;
+  for (var itemIndex = 0; itemIndex < itemCount; itemIndex++) {
+    if (!this.isItemVisible_(itemIndex)) {
+      continue;
+    }
+    var distance = Math.abs(coordinate -
+        this.getOffsetCoordinate_(this.getChildElement_(itemIndex)));
+    if (distance < nearestDistance) {
+      nearestItemIndex = itemIndex;
+      nearestDistance = distance;
+    }
+  }
+  return nearestItemIndex;
+};
+
+/**
+ * Sets displayed position of real and mock scroll elements.
+ * @param {number} scrollElementCoordinate Position to set.
+ * @private
+ */
+tv.ui.Container.prototype.setScrollElementCoordinate_ = function(
+    scrollElementCoordinate) {
+  this.displayedScrollElementCoordinate_ = scrollElementCoordinate;
+
+  var scrollElementPosition = this.createCoordinate_(scrollElementCoordinate);
   tv.ui.Container.setElementPosition_(
       this.scrollElement_, scrollElementPosition);
   if (this.mockScrollElement_) {
-    goog.style.setPosition(this.mockScrollElement_, scrollElementPosition);
+    // Mock children aren't shifted in carousel, so shift their parent instead.
+    var mockScrollElementCoordinate =
+        scrollElementCoordinate + this.carouselShift_;
+    if (this.rightToLeft_) {
+      // Keep mock scroll element aligned with right edge of scrolling window,
+      // as real one is.
+      this.mockScrollElement_.style.left = 'auto';
+      this.mockScrollElement_.style.right = mockScrollElementCoordinate + 'px';
+    } else {
+      this.mockScrollElement_.style.right = '';
+      goog.style.setPosition(
+          this.mockScrollElement_,
+          this.createCoordinate_(mockScrollElementCoordinate));
+    }
+  }
+};
+
+/**
+ * Style properties of transforms, unprefixed and vendor-prefixed, paired with
+ * properties whose support indicates support of 3D transforms.
+ * @type {Array.<{transform: string, perspective: string}>}
+ * @private
+ */
+tv.ui.Container.TRANSFORM_PROPERTIES_ = [
+  {transform: 'transform', perspective: 'perspective'},
+  {transform: 'webkitTransform', perspective: 'webkitPerspective'},
+  {transform: 'MozTransform', perspective: 'MozPerspective'},
+  {transform: 'msTransform', perspective: 'msPerspective'},
+  {transform: 'OTransform', perspective: 'OPerspective'}
+];
+
+/**
+ * Chooses how to move elements by detecting features of browser.
+ * @return {function(Element, goog.math.Coordinate)} Function that moves
+ *     element to given position.
+ * @private
+ */
+tv.ui.Container.createElementPositioner_ = function() {
+  var style = document.createElement('div').style;
+  var properties = goog.array.find(
+      tv.ui.Container.TRANSFORM_PROPERTIES_, function(properties) {
+        return goog.isString(style[properties.transform]);
+      });
+
+  if (!properties) {
+    return function(element, position) {
+      // Offsets take effect only if element is positioned.
+      if (goog.style.getComputedPosition(element) == 'static') {
+        element.style.position = 'relative';
+      }
+      goog.style.setPosition(element, position);
+    };
+  }
+
+  var transformProperty = properties.transform;
+  if (goog.isString(style[properties.perspective])) {
+    return function(element, position) {
+      // 3D translation gets element its own compositing layer, so that it's
+      // moved by GPU without repainting.
+      element.style[transformProperty] =
+          'translate3d(' + position.x + 'px, ' + position.y + 'px, 0)';
+    };
   }
+  return function(element, position) {
+    // Transform doesn't affect layout, so it's cheaper than offsets.
+    element.style[transformProperty] =
+        'translate(' + position.x + 'px, ' + position.y + 'px)';
+  };
 };
 
 /**
- * Moves element to given position using webkit transforms.
+ * Moves element to given position using transforms, or offsets if browser
+ * doesn't support transforms.
  * @param {Element} element Element to move.
  * @param {goog.math.Coordinate} position Position to set.
+ * @private
  */
 tv.ui.Container.setElementPosition_ =
-    goog.userAgent.product.IPHONE || goog.userAgent.product.IPAD ?
-        function(element, position) {
-          // 3D translation is powered by OpenGL on iOS.
-          element.style.webkitTransform =
-              'translate3d(' + position.x + 'px, ' +  position.y + 'px, 0)';
-        } :
-        function(element, position) {
-          // Use webkit transform for better performance
-          element.style.webkitTransform =
-              'translate(' + position.x + 'px, ' + position.y + 'px)';
-        };
-
-/**
- * Moves highlight element at position of selected child.
+    tv.ui.Container.createElementPositioner_();
+
+/**
+ * Measures position of selected child for highlight.
+ * Does nothing if highlight is shared and container isn't in focus chain.
+ * @private
+ */
+tv.ui.Container.prototype.measureHighlight_ = function() {
+  delete this.highlightBase_;
+  if (!this.highlightElement_ || !this.isControllingHighlight_() ||
+      !this.selectedChild_) {
+    return;
+  }
+
+  // Measured position accounts for transforms as well as for offsets, so
+  // exclude displayed scrolling of children, whichever way it's done. Mock
+  // scroll element is shifted as a whole in carousel, real children are
+  // shifted one by one.
+  var selectedChildShift = this.mockScrollElement_ ? this.carouselShift_ :
+      this.carouselChildShifts_ &&
+          this.carouselChildShifts_[goog.getUid(this.selectedChild_)] || 0;
+  this.highlightBase_ = {
+    child: this.selectedChild_,
+    position: goog.math.Coordinate.difference(
+        goog.style.getRelativePosition(
+            this.getChildElement_(this.getItemIndex(this.selectedChild_)),
+            /** @type {Element} */(this.highlightElement_.parentNode)),
+        this.createCoordinate_(
+            (this.displayedScrollElementCoordinate_ || 0) +
+            selectedChildShift))
+  };
+};
+
+/**
+ * Moves highlight element at position of selected child, as of last measure,
+ * given displayed scrolling of children.
  * Does nothing if highlight is shared and container isn't in focus chain.
  * @private
  */
@@ -923,15 +3218,17 @@ tv.ui.Container.prototype.updateHighlight_ = function() {
     return;
   }
 
-  if (this.selectedChild_) {
-    var selectedChildElement = this.getChildElement_(
-        goog.array.indexOf(this.children_, this.selectedChild_));
-
+  var highlightBase = this.highlightBase_;
+  if (this.selectedChild_ && highlightBase &&
+      highlightBase.child == this.selectedChild_) {
+    // Selected child of carousel is always shifted as far as carousel itself.
     goog.style.setPosition(
         this.highlightElement_,
-        goog.style.getRelativePosition(
-            selectedChildElement,
-            /** @type {Element} */(this.highlightElement_.parentNode)));
+        goog.math.Coordinate.sum(
+            highlightBase.position,
+            this.createCoordinate_(
+                (this.displayedScrollElementCoordinate_ || 0) +
+                this.carouselShift_)));
     goog.dom.classes.add(
         this.highlightElement_, tv.ui.Container.Class.HIGHLIGHT_POSITIONED);
   } else {
@@ -942,14 +3239,47 @@ tv.ui.Container.prototype.updateHighlight_ = function() {
   this.dispatchEvent(tv.ui.Container.EventType.UPDATE_HIGHLIGHT);
 };
 
+/**
+ * Detects whether children flow from right to left. Direction of element with
+ * automatic direction is estimated from its text, since not every browser
+ * resolves it.
+ * @return {boolean} Whether direction of root element is right-to-left.
+ * @private
+ */
+tv.ui.Container.prototype.detectRightToLeft_ = function() {
+  var element = this.getElement();
+  if (element.getAttribute('dir') == 'auto') {
+    return goog.i18n.bidi.estimateDirection(
+        goog.dom.getTextContent(element)) == goog.i18n.bidi.Dir.RTL;
+  }
+  return goog.style.isRightToLeft(element);
+};
+
 /**
  * Abstracts offset coordinate for horizontal and vertical container.
+ * In right-to-left container coordinate is measured from right edge of parent
+ * element, so that it grows towards end of container as well.
  * @param {Element} element Element to measure.
- * @return {number} Offset left or top, depending on container orientation.
+ * @return {number} Offset left, right or top, depending on container
+ *     orientation and direction.
  * @private
  */
 tv.ui.Container.prototype.getOffsetCoordinate_ = function(element) {
-  return this.isHorizontal() ? element.offsetLeft : element.offsetTop;
+  if (!this.isHorizontal()) {
+    return element.offsetTop;
+  }
+  if (!this.rightToLeft_) {
+    return element.offsetLeft;
+  }
+  if (!element.offsetParent) {
+    return 0;
+  }
+  // Parent element isn't necessarily positioned, so that its offset is
+  // relative to the same offset parent then.
+  var parentElement = element.parentNode;
+  var parentEndCoordinate = parentElement.offsetWidth +
+      (element.offsetParent == parentElement ? 0 : parentElement.offsetLeft);
+  return parentEndCoordinate - element.offsetLeft - element.offsetWidth;
 };
 
 /**
@@ -974,15 +3304,17 @@ tv.ui.Container.prototype.getScrollSize_ = function(element) {
 
 /**
  * Creates coordinate from given value.
- * @param {number} value Coordinate value.
+ * @param {number} value Coordinate value, growing towards end of container.
  * @return {goog.math.Coordinate} 2-dimensional coordinate with one of
  *     dimensions set to given value, other one - to zero, depending on
- *     container orientation.
+ *     container orientation. Value is mirrored in right-to-left container.
  * @private
  */
 tv.ui.Container.prototype.createCoordinate_ = function(value) {
-  return new goog.math.Coordinate(
-      this.isHorizontal() ? value : 0, this.isHorizontal() ? 0 : value);
+  if (!this.isHorizontal()) {
+    return new goog.math.Coordinate(0, value);
+  }
+  return new goog.math.Coordinate(this.rightToLeft_ ? -value : value, 0);
 };
 
 /**
@@ -993,7 +3325,7 @@ tv.ui.Container.prototype.createCoordinate_ = function(value) {
  */
 tv.ui.Container.prototype.onChildVisibilityChange = function(child) {
   // Ensure consistent visibility of mock child.
-  if (this.mockScrollElement_) {
+  if (this.mockScrollElement_ && !this.isVirtual()) {
     var childIndex = goog.array.indexOf(this.children_, child);
     goog.style.showElement(
         this.mockScrollElement_.childNodes[childIndex], child.isVisible());
@@ -1003,6 +3335,17 @@ tv.ui.Container.prototype.onChildVisibilityChange = function(child) {
   this.scheduleRender();
 };
 
+/**
+ * Updates selected child if necessary.
+ * Called by child component to notify parent container that it has been
+ * enabled or disabled.
+ * @param {tv.ui.Component} child Child component which has been enabled or
+ *     disabled.
+ */
+tv.ui.Container.prototype.onChildEnabledChange = function(child) {
+  this.onChildSelectabilityChange(child);
+};
+
 /**
  * Updates selected child if necessary.
  * Called by child component to notify parent container that one of conditions
@@ -1013,11 +3356,11 @@ tv.ui.Container.prototype.onChildVisibilityChange = function(child) {
 tv.ui.Container.prototype.onChildSelectabilityChange = function(child) {
   if (!this.selectedChild_ && child.getSelectedDescendantOrSelf()) {
     // Child became selectable, set it as selected if container has none.
-    this.setSelectedChild(child);
+    this.selectChild_(child);
   } else if (this.selectedChild_ == child &&
       !child.getSelectedDescendantOrSelf()) {
     // Child stopped being selectable, try to find other selectable children.
-    this.setSelectedChild(
+    this.selectChild_(
         this.findNextSelectableChild() || this.findPreviousSelectableChild());
   }
 };
@@ -1085,6 +3428,9 @@ tv.ui.Container.prototype.onTouchStart = function(event) {
   }
 
   this.decelerationTimer_.stop();
+  // Finger catches children where they are displayed.
+  this.scrollAnimation_ &&
+      this.scrollTo_(this.displayedScrollElementCoordinate_, true);
   this.touchIdentifier_ = touches[0].identifier;
   this.touchMoves_ = [];
   this.addTouchMove_(this.getTouch_(event));
@@ -1101,12 +3447,15 @@ tv.ui.Container.prototype.onTouchMove = function(event) {
     return;
   }
 
-  // TODO(maksym): Update slits in touch mode.
-  this.scrollTo_(
-      this.scrollElementCoordinate_ +
-      this.getPageCoordinate_(touch) -
-      this.getLastTouchMove_().coordinate,
-      true);
+  var delta = this.getPageCoordinate_(touch) -
+      this.getLastTouchMove_().coordinate;
+  if (this.isOverscrolled_()) {
+    // Children beyond their bounds resist being pulled further, like rubber
+    // band.
+    delta *= tv.ui.Container.OVERSCROLL_RESISTANCE;
+  }
+  this.scrollTo_(this.scrollElementCoordinate_ + delta, true);
+  this.updateSlits_();
   this.addTouchMove_(touch);
 
   // TODO(maksym): It would be nice to stop propagation here but it's hard
@@ -1151,6 +3500,9 @@ tv.ui.Container.prototype.onTouchEnd = function(event) {
     }
   }
 
+  // Children settle once deceleration is over.
+  this.decelerationTimer_.enabled || this.settle_();
+
   delete this.touchIdentifier_;
   delete this.touchMoves_;
 };
@@ -1190,9 +3542,13 @@ tv.ui.Container.prototype.getLastTouchMove_ = function() {
 /**
  * Abstracts page coordinate of event for horizontal and vertical container.
  * @param {Touch} touch Touch move.
- * @return {number} Page x or y, depending on container orientation.
+ * @return {number} Page x or y, depending on container orientation. Page x
+ *     is mirrored in right-to-left container.
  * @private
  */
 tv.ui.Container.prototype.getPageCoordinate_ = function(touch) {
-  return this.isHorizontal() ? touch.pageX : touch.pageY;
+  if (!this.isHorizontal()) {
+    return touch.pageY;
+  }
+  return this.rightToLeft_ ? -touch.pageX : touch.pageX;
 };
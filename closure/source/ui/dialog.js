@@ -0,0 +1,287 @@
+// Copyright 2011 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Dialog is a modal overlay, such as confirmation, error message
+ * or sign-in prompt. While dialog is open, focus stays within it and keys
+ * don't reach page underneath. Dialogs opened on top of each other stack.
+ * Dialog closes with result when one of its result buttons is pressed or with
+ * cancel result when Back key is pressed, and focus returns to component
+ * which has been focused before dialog was opened.
+ */
+goog.provide('tv.ui.Dialog');
+
+goog.require('goog.dom.classes');
+goog.require('goog.events.Event');
+goog.require('tv.ui');
+goog.require('tv.ui.Button');
+goog.require('tv.ui.Container');
+goog.require('tv.ui.Document');
+
+/**
+ * Constructs dialog.
+ * @constructor
+ * @extends {tv.ui.Container}
+ */
+tv.ui.Dialog = function() {
+  goog.base(this);
+};
+goog.inherits(tv.ui.Dialog, tv.ui.Container);
+
+/**
+ * @type {string} Main CSS class that triggers decoration.
+ */
+tv.ui.Dialog.CLASS = 'tv-dialog';
+tv.ui.registerDecorator(tv.ui.Dialog, tv.ui.Dialog.CLASS);
+
+/**
+ * CSS classes that control look and feel of dialog.
+ * @enum {string}
+ */
+tv.ui.Dialog.Class = {
+  /**
+   * Applied to button within dialog which closes it with OK result.
+   */
+  OK_BUTTON: 'tv-dialog-ok-button',
+
+  /**
+   * Applied to button within dialog which closes it with cancel result.
+   */
+  CANCEL_BUTTON: 'tv-dialog-cancel-button',
+
+  /**
+   * Applied to root element if Back key shouldn't close dialog, so that user
+   * has to choose one of result buttons.
+   */
+  NO_CANCEL: 'tv-dialog-no-cancel'
+};
+
+/**
+ * Attribute of button element within dialog which closes dialog with custom
+ * result, attribute value being the result.
+ * @type {string}
+ */
+tv.ui.Dialog.RESULT_ATTRIBUTE = 'data-tv-dialog-result';
+
+/**
+ * Standard results of dialog.
+ * @enum {string}
+ */
+tv.ui.Dialog.Result = {
+  OK: 'ok',
+  CANCEL: 'cancel'
+};
+
+/**
+ * Event types dispatched by dialog.
+ * @enum {string}
+ */
+tv.ui.Dialog.EventType = {
+  /**
+   * Dispatched after dialog has been closed and focus has been restored.
+   * @see tv.ui.Dialog.CloseEvent
+   */
+  CLOSE: goog.events.getUniqueId('close')
+};
+
+/**
+ * Event dispatched when dialog closes.
+ * @param {string} result Standard or custom result of dialog.
+ * @param {tv.ui.Button} button Button which has closed dialog, if any.
+ * @constructor
+ * @extends {goog.events.Event}
+ */
+tv.ui.Dialog.CloseEvent = function(result, button) {
+  goog.base(this, tv.ui.Dialog.EventType.CLOSE);
+
+  /**
+   * Standard or custom result of dialog.
+   * @type {string}
+   */
+  this.result = result;
+
+  /**
+   * Button which has closed dialog, null if dialog has been closed by Back key
+   * or programmatically.
+   * @type {tv.ui.Button}
+   */
+  this.button = button;
+};
+goog.inherits(tv.ui.Dialog.CloseEvent, goog.events.Event);
+
+/**
+ * Whether dialog is open.
+ * @type {boolean}
+ * @private
+ */
+tv.ui.Dialog.prototype.open_ = false;
+
+/**
+ * @inheritDoc
+ */
+tv.ui.Dialog.prototype.decorate = function(element) {
+  goog.base(this, 'decorate', element);
+
+  // Dialog is shown only when open.
+  this.setVisible(false);
+
+  this.getEventHandler().listen(
+      this, tv.ui.Button.EventType.ACTION, this.onAction);
+  this.getEventHandler().listen(
+      this, tv.ui.Document.EventType.BEFORE_BACK, this.onBeforeBack);
+  this.getEventHandler().listen(
+      this, tv.ui.Document.EventType.BACK, this.onBack);
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.Dialog.prototype.getClass = function() {
+  return tv.ui.Dialog.CLASS;
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.Dialog.prototype.disposeInternal = function() {
+  this.open_ && this.close(tv.ui.Dialog.Result.CANCEL);
+
+  goog.base(this, 'disposeInternal');
+};
+
+/**
+ * @return {boolean} Whether dialog is open.
+ */
+tv.ui.Dialog.prototype.isOpen = function() {
+  return this.open_;
+};
+
+/**
+ * Shows dialog on top of page and other open dialogs and focuses it.
+ */
+tv.ui.Dialog.prototype.open = function() {
+  if (this.open_) {
+    return;
+  }
+  this.open_ = true;
+
+  // Back key closes dialog by going back to this checkpoint.
+  var tvDocument = this.getDocument();
+  tvDocument.pushCheckpoint(this);
+
+  // Move dialog to the end of its parent element, so that it's painted above
+  // other dialogs.
+  var element = this.getElement();
+  element.parentNode && element.parentNode.appendChild(element);
+
+  this.setVisible(true);
+  tvDocument.pushModal(this);
+  this.tryFocus();
+};
+
+/**
+ * Hides dialog and restores focus to component which has been focused before
+ * dialog was opened, if focus is still within dialog.
+ * @param {string} result Standard or custom result of dialog.
+ * @param {tv.ui.Button=} opt_button Button which has closed dialog.
+ */
+tv.ui.Dialog.prototype.close = function(result, opt_button) {
+  if (!this.open_) {
+    return;
+  }
+  this.open_ = false;
+
+  // If dialog isn't closed by going back, restore focus to its checkpoint
+  // anyway. Focus shouldn't stay within hidden dialog either way.
+  var tvDocument = this.getDocument();
+  tvDocument.removeModal(this);
+  tvDocument.removeCheckpoints(this, this.isFocused());
+  this.isFocused() && tvDocument.setFocusedComponent(null);
+
+  this.setVisible(false);
+  this.dispatchEvent(new tv.ui.Dialog.CloseEvent(result, opt_button || null));
+};
+
+/**
+ * @return {boolean} Whether Back key closes dialog with cancel result.
+ */
+tv.ui.Dialog.prototype.isCancelable = function() {
+  return !goog.dom.classes.has(
+      this.getElement(), tv.ui.Dialog.Class.NO_CANCEL);
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.Dialog.prototype.onKey = function(event) {
+  goog.base(this, 'onKey', event);
+
+  // Page underneath shouldn't react to keys while dialog is open. Back key
+  // still reaches document, which goes back to checkpoint of dialog.
+  this.open_ && event.stopPropagation();
+};
+
+/**
+ * Handles event dispatched before document goes back.
+ * Keeps dialog open if it can't be canceled.
+ * @param {goog.events.Event} event Before back event.
+ * @protected
+ */
+tv.ui.Dialog.prototype.onBeforeBack = function(event) {
+  this.open_ && !this.isCancelable() && event.preventDefault();
+};
+
+/**
+ * Handles back event.
+ * Closes dialog with cancel result, focus has already been restored by
+ * document.
+ * @param {goog.events.Event} event Back event.
+ * @protected
+ */
+tv.ui.Dialog.prototype.onBack = function(event) {
+  // Back event bubbles from nested overlays.
+  event.target == this && this.close(tv.ui.Dialog.Result.CANCEL);
+};
+
+/**
+ * Handles action event.
+ * Closes dialog if one of result buttons has been pressed.
+ * @param {goog.events.Event} event Action event.
+ * @protected
+ */
+tv.ui.Dialog.prototype.onAction = function(event) {
+  var button = /** @type {tv.ui.Button} */(event.target);
+  var result = this.getButtonResult_(button);
+  if (result && this.open_) {
+    event.stopPropagation();
+    this.close(result, button);
+  }
+};
+
+/**
+ * @param {tv.ui.Button} button Button within dialog.
+ * @return {?string} Result button closes dialog with, null if it doesn't
+ *     close dialog.
+ * @private
+ */
+tv.ui.Dialog.prototype.getButtonResult_ = function(button) {
+  var element = button.getElement();
+  if (goog.dom.classes.has(element, tv.ui.Dialog.Class.OK_BUTTON)) {
+    return tv.ui.Dialog.Result.OK;
+  }
+  if (goog.dom.classes.has(element, tv.ui.Dialog.Class.CANCEL_BUTTON)) {
+    return tv.ui.Dialog.Result.CANCEL;
+  }
+  return element.getAttribute(tv.ui.Dialog.RESULT_ATTRIBUTE);
+};
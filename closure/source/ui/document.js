@@ -13,14 +13,23 @@
 // limitations under the License.
 
 /**
- * @fileoverview Document controls focus and key event flow.
+ * @fileoverview Document controls focus and key event flow. With pointer mode
+ * enabled, document also tracks whether user navigates with keys or with
+ * pointer, such as air mouse, and focuses components pointer rests on.
  */
 goog.provide('tv.ui.Document');
 
+goog.require('goog.Timer');
+goog.require('goog.array');
+goog.require('goog.asserts');
+goog.require('goog.dom.classes');
+goog.require('goog.events');
+goog.require('goog.events.Event');
 goog.require('goog.events.EventHandler');
 goog.require('goog.events.EventType');
 goog.require('goog.events.KeyCodes');
 goog.require('goog.events.KeyHandler');
+goog.require('tv.ui');
 
 /**
  * Constructs document.
@@ -31,6 +40,13 @@ goog.require('goog.events.KeyHandler');
  * @constructor
  */
 tv.ui.Document = function(document) {
+  /**
+   * DOM document.
+   * @type {Document}
+   * @private
+   */
+  this.document_ = document;
+
   /**
    * Facilitates listening for events: automatically binds 'this' to handlers
    * and allows unlisten of all events at once.
@@ -42,8 +58,270 @@ tv.ui.Document = function(document) {
       new goog.events.KeyHandler(document),
       goog.events.KeyHandler.EventType.KEY,
       this.onKey);
+  this.eventHandler_.listen(
+      document, goog.events.EventType.KEYUP, this.onKeyUp_);
+  this.eventHandler_.listen(
+      document, goog.events.EventType.MOUSEMOVE, this.onMouseMove_);
+
+  /**
+   * Stack of focus checkpoints, last one is the one to go back to.
+   * @type {Array.<{component: tv.ui.Component, owner: tv.ui.Component}>}
+   * @private
+   */
+  this.checkpoints_ = [];
+
+  /**
+   * Stack of modal components, focus is kept within the last one.
+   * @type {Array.<tv.ui.Component>}
+   * @private
+   */
+  this.modals_ = [];
+
+  /**
+   * Key profiles used to translate key codes into actions, later ones take
+   * precedence.
+   * @type {Array.<Object.<number, tv.ui.Document.Action>>}
+   * @private
+   */
+  this.keyProfiles_ = [tv.ui.Document.DEFAULT_KEY_PROFILE];
+};
+
+/**
+ * Logical actions that keys of different input devices are translated to.
+ * Components should react to actions rather than to particular key codes.
+ * @enum {string}
+ */
+tv.ui.Document.Action = {
+  LEFT: 'left',
+  RIGHT: 'right',
+  UP: 'up',
+  DOWN: 'down',
+  SELECT: 'select',
+  BACK: 'back',
+  DELETE: 'delete',
+  PAGE_UP: 'page_up',
+  PAGE_DOWN: 'page_down',
+  HOME: 'home',
+  END: 'end',
+  PLAY_PAUSE: 'play_pause',
+  PLAY: 'play',
+  PAUSE: 'pause',
+  STOP: 'stop',
+  FAST_FORWARD: 'fast_forward',
+  REWIND: 'rewind',
+  NEXT_TRACK: 'next_track',
+  PREVIOUS_TRACK: 'previous_track',
+  CHANNEL_UP: 'channel_up',
+  CHANNEL_DOWN: 'channel_down',
+  RED: 'red',
+  GREEN: 'green',
+  YELLOW: 'yellow',
+  BLUE: 'blue',
+  DIGIT_0: 'digit_0',
+  DIGIT_1: 'digit_1',
+  DIGIT_2: 'digit_2',
+  DIGIT_3: 'digit_3',
+  DIGIT_4: 'digit_4',
+  DIGIT_5: 'digit_5',
+  DIGIT_6: 'digit_6',
+  DIGIT_7: 'digit_7',
+  DIGIT_8: 'digit_8',
+  DIGIT_9: 'digit_9'
+};
+
+/**
+ * Digit actions, indexed by digit.
+ * @type {Array.<tv.ui.Document.Action>}
+ */
+tv.ui.Document.DIGIT_ACTIONS = [
+  tv.ui.Document.Action.DIGIT_0,
+  tv.ui.Document.Action.DIGIT_1,
+  tv.ui.Document.Action.DIGIT_2,
+  tv.ui.Document.Action.DIGIT_3,
+  tv.ui.Document.Action.DIGIT_4,
+  tv.ui.Document.Action.DIGIT_5,
+  tv.ui.Document.Action.DIGIT_6,
+  tv.ui.Document.Action.DIGIT_7,
+  tv.ui.Document.Action.DIGIT_8,
+  tv.ui.Document.Action.DIGIT_9
+];
+
+/**
+ * @param {?tv.ui.Document.Action} action Action.
+ * @return {number} Digit that action stands for, or -1 if it isn't digit
+ *     action.
+ */
+tv.ui.Document.getActionDigit = function(action) {
+  return goog.array.indexOf(tv.ui.Document.DIGIT_ACTIONS, action);
+};
+
+/**
+ * Navigation actions, whose repeats are coalesced and accelerated while key
+ * is held down.
+ * @type {Array.<tv.ui.Document.Action>}
+ */
+tv.ui.Document.REPEATED_ACTIONS = [
+  tv.ui.Document.Action.LEFT,
+  tv.ui.Document.Action.RIGHT,
+  tv.ui.Document.Action.UP,
+  tv.ui.Document.Action.DOWN,
+  tv.ui.Document.Action.PAGE_UP,
+  tv.ui.Document.Action.PAGE_DOWN
+];
+
+/**
+ * Time in milliseconds key should be held down before its repeats are
+ * accelerated.
+ * @type {number}
+ */
+tv.ui.Document.KEY_REPEAT_ACCELERATION_DELAY = 1000;
+
+/**
+ * How many times every repeat is dispatched once it's accelerated.
+ * @type {number}
+ */
+tv.ui.Document.KEY_REPEAT_ACCELERATED_STEP = 3;
+
+/**
+ * Key profile of keyboard and Google TV remote, always used by document.
+ * @type {Object.<number, tv.ui.Document.Action>}
+ */
+tv.ui.Document.DEFAULT_KEY_PROFILE = {
+  37: tv.ui.Document.Action.LEFT,  // goog.events.KeyCodes.LEFT
+  39: tv.ui.Document.Action.RIGHT,  // goog.events.KeyCodes.RIGHT
+  38: tv.ui.Document.Action.UP,  // goog.events.KeyCodes.UP
+  40: tv.ui.Document.Action.DOWN,  // goog.events.KeyCodes.DOWN
+  13: tv.ui.Document.Action.SELECT,  // goog.events.KeyCodes.ENTER
+  32: tv.ui.Document.Action.SELECT,  // goog.events.KeyCodes.SPACE
+  27: tv.ui.Document.Action.BACK,  // goog.events.KeyCodes.ESC
+  8: tv.ui.Document.Action.DELETE,  // goog.events.KeyCodes.BACKSPACE
+  33: tv.ui.Document.Action.PAGE_UP,  // goog.events.KeyCodes.PAGE_UP
+  34: tv.ui.Document.Action.PAGE_DOWN,  // goog.events.KeyCodes.PAGE_DOWN
+  36: tv.ui.Document.Action.HOME,  // goog.events.KeyCodes.HOME
+  35: tv.ui.Document.Action.END,  // goog.events.KeyCodes.END
+  19: tv.ui.Document.Action.PAUSE,  // goog.events.KeyCodes.PAUSE
+  179: tv.ui.Document.Action.PLAY_PAUSE,
+  178: tv.ui.Document.Action.STOP,
+  176: tv.ui.Document.Action.NEXT_TRACK,
+  177: tv.ui.Document.Action.PREVIOUS_TRACK,
+  228: tv.ui.Document.Action.FAST_FORWARD,
+  227: tv.ui.Document.Action.REWIND
+};
+
+// Digit keys of main keyboard and numeric keypad.
+goog.array.forEach(tv.ui.Document.DIGIT_ACTIONS, function(action, digit) {
+  tv.ui.Document.DEFAULT_KEY_PROFILE[goog.events.KeyCodes.ZERO + digit] =
+      action;
+  tv.ui.Document.DEFAULT_KEY_PROFILE[goog.events.KeyCodes.NUM_ZERO + digit] =
+      action;
+});
+
+/**
+ * Key profile of remotes of OIPF and HbbTV compliant TV sets.
+ * @type {Object.<number, tv.ui.Document.Action>}
+ * @see #addKeyProfile
+ */
+tv.ui.Document.OIPF_KEY_PROFILE = {
+  461: tv.ui.Document.Action.BACK,
+  415: tv.ui.Document.Action.PLAY,
+  413: tv.ui.Document.Action.STOP,
+  417: tv.ui.Document.Action.FAST_FORWARD,
+  412: tv.ui.Document.Action.REWIND,
+  425: tv.ui.Document.Action.NEXT_TRACK,
+  424: tv.ui.Document.Action.PREVIOUS_TRACK,
+  427: tv.ui.Document.Action.CHANNEL_UP,
+  428: tv.ui.Document.Action.CHANNEL_DOWN,
+  403: tv.ui.Document.Action.RED,
+  404: tv.ui.Document.Action.GREEN,
+  405: tv.ui.Document.Action.YELLOW,
+  406: tv.ui.Document.Action.BLUE
+};
+
+/**
+ * CSS classes that reflect state of document.
+ * These classes are applied to body element.
+ * @enum {string}
+ */
+tv.ui.Document.Class = {
+  /**
+   * Applied while user navigates with pointer rather than with keys, so that
+   * highlight of focused component could be hidden.
+   * @see #isPointerMode
+   */
+  POINTER_MODE: 'tv-document-pointer-mode'
+};
+
+/**
+ * Time in milliseconds pointer should rest on component before it gets
+ * focused in pointer mode.
+ * @type {number}
+ */
+tv.ui.Document.HOVER_FOCUS_DELAY = 150;
+
+/**
+ * Event types dispatched by document on components.
+ * @enum {string}
+ */
+tv.ui.Document.EventType = {
+  /**
+   * Dispatched on focused component before document goes back to last focus
+   * checkpoint. Event bubbles up, so focused component or any of its ancestors
+   * can prevent going back by calling preventDefault().
+   * @see #goBack
+   */
+  BEFORE_BACK: goog.events.getUniqueId('before_back'),
+
+  /**
+   * Dispatched on owner of focus checkpoint after document went back to it.
+   * Overlays usually close themselves on this event.
+   * @see #pushCheckpoint
+   */
+  BACK: goog.events.getUniqueId('back'),
+
+  /**
+   * Dispatched on component before it gets focused. Event bubbles up, so
+   * component or any of its ancestors can veto focus change by calling
+   * preventDefault() or redirect it to other component.
+   * @see tv.ui.Document.BeforeFocusEvent
+   */
+  BEFORE_FOCUS: goog.events.getUniqueId('before_focus')
 };
 
+/**
+ * Event dispatched before focus change.
+ * @param {tv.ui.Component} previousComponent Currently focused component.
+ * @param {tv.ui.Component} component Component about to be focused.
+ * @param {number} keyCode Code of key that triggered focus change, or 0 if
+ *     change isn't triggered by key.
+ * @constructor
+ * @extends {goog.events.Event}
+ */
+tv.ui.Document.BeforeFocusEvent = function(
+    previousComponent, component, keyCode) {
+  goog.base(this, tv.ui.Document.EventType.BEFORE_FOCUS);
+
+  /**
+   * Currently focused component.
+   * @type {tv.ui.Component}
+   */
+  this.previousComponent = previousComponent;
+
+  /**
+   * Component about to be focused. Listeners can redirect focus by setting it
+   * to other component.
+   * @type {tv.ui.Component}
+   */
+  this.component = component;
+
+  /**
+   * Code of key that triggered focus change, or 0 if change isn't triggered by
+   * key.
+   * @type {number}
+   */
+  this.keyCode = keyCode;
+};
+goog.inherits(tv.ui.Document.BeforeFocusEvent, goog.events.Event);
+
 /**
  * Component that is currently focused.
  * @type {tv.ui.Component}
@@ -59,6 +337,63 @@ tv.ui.Document.prototype.focusedComponent_;
  */
 tv.ui.Document.prototype.componentPendingFocus_;
 
+/**
+ * Whether arrow keys move focus according to geometry of components.
+ * @type {boolean}
+ * @private
+ */
+tv.ui.Document.prototype.spatialNavigation_ = false;
+
+/**
+ * Repeats of held key, coalesced until next animation frame.
+ * @type {{keyCode: number, charCode: number, browserEvent: Event,
+ *     count: number, startTime: number, frameRequested: boolean}|undefined}
+ * @private
+ */
+tv.ui.Document.prototype.keyRepeat_;
+
+/**
+ * Time when last key has been pressed down.
+ * @type {number}
+ * @private
+ */
+tv.ui.Document.prototype.keyDownTime_ = 0;
+
+/**
+ * Code of key being dispatched at the moment.
+ * @type {number}
+ * @private
+ */
+tv.ui.Document.prototype.dispatchedKeyCode_ = 0;
+
+/**
+ * Whether document switches to pointer mode when pointer moves.
+ * @type {boolean}
+ * @private
+ */
+tv.ui.Document.prototype.pointerModeEnabled_ = false;
+
+/**
+ * Whether user navigates with pointer at the moment.
+ * @type {boolean}
+ * @private
+ */
+tv.ui.Document.prototype.pointerMode_ = false;
+
+/**
+ * Focusable component pointer is over.
+ * @type {tv.ui.Component}
+ * @private
+ */
+tv.ui.Document.prototype.hoveredComponent_ = null;
+
+/**
+ * Identifier of timer that focuses hovered component.
+ * @type {?number}
+ * @private
+ */
+tv.ui.Document.prototype.hoverTimerId_ = null;
+
 /**
  * Returns cached instance of document, which is created if necessary.
  * @param {Document=} opt_document DOM document.
@@ -74,12 +409,414 @@ tv.ui.Document.getInstance = function(opt_document) {
 
 /**
  * Handles key event.
- * Dispatches key event to currently focused component if any.
+ * Dispatches key event to currently focused component if any. Repeats of held
+ * navigation key are coalesced and dispatched once per animation frame.
  * @param {goog.events.KeyEvent} event Key event.
  * @protected
  */
 tv.ui.Document.prototype.onKey = function(event) {
-  this.focusedComponent_ && this.focusedComponent_.dispatchKey_(event);
+  this.setPointerMode_(false);
+
+  var keyRepeat = this.keyRepeat_;
+  if (event.repeat && keyRepeat && keyRepeat.keyCode == event.keyCode) {
+    // Held key is handled by components, so don't dispatch its repeats right
+    // away. Otherwise every one of them would cause rendering, and slow
+    // devices would lag behind.
+    event.preventDefault();
+    keyRepeat.browserEvent = event.getBrowserEvent();
+    keyRepeat.count++;
+    if (!keyRepeat.frameRequested) {
+      keyRepeat.frameRequested = true;
+      tv.ui.requestAnimationFrame(this.onKeyRepeatFrame_, this);
+    }
+    return;
+  }
+
+  delete this.keyRepeat_;
+  if (!event.repeat) {
+    this.keyDownTime_ = goog.now();
+  }
+
+  // Start coalescing repeats once navigation key has been handled.
+  if (this.dispatchKey_(event) && goog.array.contains(
+      tv.ui.Document.REPEATED_ACTIONS, this.getKeyAction(event.keyCode))) {
+    this.keyRepeat_ = {
+      keyCode: event.keyCode,
+      charCode: event.charCode,
+      browserEvent: event.getBrowserEvent(),
+      count: 0,
+      startTime: this.keyDownTime_,
+      frameRequested: false
+    };
+  }
+};
+
+/**
+ * Dispatches key event to focused component and goes back if no component
+ * has handled Back key. Component handles key by preventing its default
+ * action.
+ * @param {goog.events.KeyEvent} event Key event.
+ * @return {boolean} Whether key has been handled by component or by going
+ *     back.
+ * @private
+ */
+tv.ui.Document.prototype.dispatchKey_ = function(event) {
+  this.dispatchedKeyCode_ = event.keyCode;
+  var handled = !!this.focusedComponent_ &&
+      this.focusedComponent_.dispatchKey_(event);
+
+  // Go back if no component has handled Back key.
+  if (!handled &&
+      this.getKeyAction(event.keyCode) == tv.ui.Document.Action.BACK &&
+      !event.ctrlKey && !event.altKey && !event.shiftKey && !event.metaKey &&
+      this.goBack()) {
+    event.preventDefault();
+    handled = true;
+  }
+  this.dispatchedKeyCode_ = 0;
+  return handled;
+};
+
+/**
+ * @return {number} Code of key being dispatched at the moment, or 0 if no key
+ *     is being dispatched. Helps to tell which key triggered selection or focus
+ *     change.
+ */
+tv.ui.Document.prototype.getDispatchedKeyCode = function() {
+  return this.dispatchedKeyCode_;
+};
+
+/**
+ * Dispatches repeats of held key coalesced since last animation frame.
+ * Every repeat is dispatched several times once key has been held long enough.
+ * @private
+ */
+tv.ui.Document.prototype.onKeyRepeatFrame_ = function() {
+  var keyRepeat = this.keyRepeat_;
+  // Key could be released already.
+  if (!keyRepeat) {
+    return;
+  }
+
+  keyRepeat.frameRequested = false;
+  var dispatchCount = keyRepeat.count;
+  if (goog.now() - keyRepeat.startTime >=
+      tv.ui.Document.KEY_REPEAT_ACCELERATION_DELAY) {
+    dispatchCount *= tv.ui.Document.KEY_REPEAT_ACCELERATED_STEP;
+  }
+  keyRepeat.count = 0;
+
+  // Components render only once for all repeats, at next animation frame.
+  for (var i = 0; i < dispatchCount; i++) {
+    var event = new goog.events.KeyEvent(
+        keyRepeat.keyCode, keyRepeat.charCode, true, keyRepeat.browserEvent);
+    // Stop if key isn't handled anymore, for instance when selection reached
+    // end of container.
+    if (!this.dispatchKey_(event)) {
+      delete this.keyRepeat_;
+      break;
+    }
+  }
+};
+
+/**
+ * Handles key up event.
+ * Drops coalesced repeats of released key, so that selection doesn't move
+ * any further.
+ * @param {goog.events.BrowserEvent} event Key up event.
+ * @private
+ */
+tv.ui.Document.prototype.onKeyUp_ = function(event) {
+  delete this.keyRepeat_;
+};
+
+/**
+ * Handles mouse move event.
+ * Switches to pointer mode if it's enabled.
+ * @param {goog.events.BrowserEvent} event Mouse move event.
+ * @private
+ */
+tv.ui.Document.prototype.onMouseMove_ = function(event) {
+  this.pointerModeEnabled_ && this.setPointerMode_(true);
+};
+
+/**
+ * @return {boolean} Whether document switches to pointer mode when pointer
+ *     moves.
+ * @see #setPointerModeEnabled
+ */
+tv.ui.Document.prototype.isPointerModeEnabled = function() {
+  return this.pointerModeEnabled_;
+};
+
+/**
+ * Enables or disables pointer mode. Once enabled, document enters pointer
+ * mode whenever pointer moves and leaves it whenever key is pressed. In
+ * pointer mode, components get focused when pointer rests on them, and mouse
+ * wheel moves selection of containers.
+ * @param {boolean} pointerModeEnabled Whether to enable pointer mode.
+ */
+tv.ui.Document.prototype.setPointerModeEnabled = function(
+    pointerModeEnabled) {
+  this.pointerModeEnabled_ = pointerModeEnabled;
+  pointerModeEnabled || this.setPointerMode_(false);
+};
+
+/**
+ * @return {boolean} Whether user navigates with pointer rather than with keys
+ *     at the moment.
+ */
+tv.ui.Document.prototype.isPointerMode = function() {
+  return this.pointerMode_;
+};
+
+/**
+ * Switches between key and pointer mode.
+ * @param {boolean} pointerMode Whether to enter pointer mode.
+ * @private
+ */
+tv.ui.Document.prototype.setPointerMode_ = function(pointerMode) {
+  if (pointerMode == this.pointerMode_) {
+    return;
+  }
+  this.pointerMode_ = pointerMode;
+
+  var body = this.document_.body;
+  body && goog.dom.classes.enable(
+      body, tv.ui.Document.Class.POINTER_MODE, pointerMode);
+
+  // Component could be hovered while in key mode, so focus it once pointer
+  // moves.
+  this.scheduleHoverFocus_();
+};
+
+/**
+ * @return {tv.ui.Component} Focusable component pointer is over.
+ */
+tv.ui.Document.prototype.getHoveredComponent = function() {
+  return this.hoveredComponent_;
+};
+
+/**
+ * Called by components when pointer enters or leaves them. Hovered component
+ * gets focused once pointer rests on it for a while in pointer mode, so that
+ * focus doesn't jump over every component pointer passes by.
+ * @param {tv.ui.Component} component Focusable component pointer is over,
+ *     null if pointer isn't over any.
+ */
+tv.ui.Document.prototype.setHoveredComponent = function(component) {
+  if (component == this.hoveredComponent_) {
+    return;
+  }
+  this.hoveredComponent_ = component;
+  this.scheduleHoverFocus_();
+};
+
+/**
+ * Restarts timer that focuses hovered component if document is in pointer
+ * mode, stops it otherwise.
+ * @private
+ */
+tv.ui.Document.prototype.scheduleHoverFocus_ = function() {
+  goog.Timer.clear(this.hoverTimerId_);
+  this.hoverTimerId_ = null;
+  if (!this.pointerMode_ || !this.hoveredComponent_) {
+    return;
+  }
+
+  this.hoverTimerId_ = goog.Timer.callOnce(function() {
+    this.hoverTimerId_ = null;
+    var component = this.hoveredComponent_;
+    component && !component.isDisposed() && component.tryFocus(true);
+  }, tv.ui.Document.HOVER_FOCUS_DELAY, this);
+};
+
+/**
+ * Adds key profile, which translates key codes of particular input device into
+ * actions. Profiles added later take precedence over earlier ones and default
+ * profile.
+ * @param {Object.<number, tv.ui.Document.Action>} keyProfile Map from key code
+ *     to action.
+ */
+tv.ui.Document.prototype.addKeyProfile = function(keyProfile) {
+  this.keyProfiles_.push(keyProfile);
+};
+
+/**
+ * Removes previously added key profile.
+ * @param {Object.<number, tv.ui.Document.Action>} keyProfile Key profile to
+ *     remove.
+ */
+tv.ui.Document.prototype.removeKeyProfile = function(keyProfile) {
+  goog.asserts.assert(
+      keyProfile != tv.ui.Document.DEFAULT_KEY_PROFILE,
+      'Default key profile cannot be removed.');
+  goog.array.remove(this.keyProfiles_, keyProfile);
+};
+
+/**
+ * Translates key code into action according to key profiles.
+ * @param {number} keyCode Key code.
+ * @return {?tv.ui.Document.Action} Action or null if key doesn't have one.
+ */
+tv.ui.Document.prototype.getKeyAction = function(keyCode) {
+  for (var i = this.keyProfiles_.length - 1; i >= 0; i--) {
+    var action = this.keyProfiles_[i][keyCode];
+    if (action) {
+      return action;
+    }
+  }
+  return null;
+};
+
+/**
+ * Records focus checkpoint, usually right before screen or overlay is opened.
+ * Going back to this checkpoint will restore focus to component that is
+ * focused at the moment.
+ * @param {tv.ui.Component=} opt_owner Screen or overlay that is being opened.
+ *     It will receive BACK event when document goes back to this checkpoint.
+ * @see #goBack
+ */
+tv.ui.Document.prototype.pushCheckpoint = function(opt_owner) {
+  this.checkpoints_.push({
+    component: this.focusedComponent_ || null,
+    owner: opt_owner || null
+  });
+};
+
+/**
+ * Removes all focus checkpoints of given owner. Should be called when owner is
+ * closed other way than by going back.
+ * @param {tv.ui.Component} owner Owner of checkpoints.
+ * @param {boolean=} opt_restoreFocus Whether to restore focus to component
+ *     that was focused when the earliest of removed checkpoints has been
+ *     recorded, as if document went back to it.
+ */
+tv.ui.Document.prototype.removeCheckpoints = function(
+    owner, opt_restoreFocus) {
+  var checkpoint = goog.array.find(this.checkpoints_, function(checkpoint) {
+    return checkpoint.owner == owner;
+  });
+  this.checkpoints_ = goog.array.filter(
+      this.checkpoints_, function(checkpoint) {
+        return checkpoint.owner != owner;
+      });
+  if (checkpoint && opt_restoreFocus) {
+    this.restoreCheckpointFocus_(checkpoint);
+  }
+};
+
+/**
+ * @return {boolean} Whether there are focus checkpoints to go back to.
+ */
+tv.ui.Document.prototype.hasCheckpoints = function() {
+  return this.checkpoints_.length > 0;
+};
+
+/**
+ * Goes back to last focus checkpoint: restores focus to component that was
+ * focused when checkpoint has been recorded and notifies checkpoint owner.
+ * Called when Back key is pressed and not handled by focused component.
+ * @return {boolean} Whether document went back. It doesn't if there are no
+ *     checkpoints or going back was prevented.
+ * @see tv.ui.Document.EventType#BEFORE_BACK
+ */
+tv.ui.Document.prototype.goBack = function() {
+  var checkpoint = goog.array.peek(this.checkpoints_);
+  if (!checkpoint) {
+    return false;
+  }
+
+  if (this.focusedComponent_ && !this.focusedComponent_.dispatchEvent(
+      tv.ui.Document.EventType.BEFORE_BACK)) {
+    return false;
+  }
+  goog.array.remove(this.checkpoints_, checkpoint);
+
+  // Owner closes when document goes back to its checkpoint, so it can't keep
+  // focus within itself anymore.
+  var owner = checkpoint.owner;
+  owner && this.removeModal(owner);
+  this.restoreCheckpointFocus_(checkpoint);
+
+  if (owner && !owner.isDisposed()) {
+    owner.dispatchEvent(tv.ui.Document.EventType.BACK);
+  }
+  return true;
+};
+
+/**
+ * Restores focus to component that was focused when checkpoint has been
+ * recorded, if it's still there.
+ * @param {{component: tv.ui.Component, owner: tv.ui.Component}} checkpoint
+ *     Focus checkpoint.
+ * @private
+ */
+tv.ui.Document.prototype.restoreCheckpointFocus_ = function(checkpoint) {
+  var component = checkpoint.component;
+  var componentToFocus = component && !component.isDisposed() &&
+      component.getSelectedDescendantOrSelf();
+  if (componentToFocus) {
+    this.setFocusedComponent(componentToFocus);
+  }
+};
+
+/**
+ * Makes component modal: until it's removed, focus can't leave it. Modal
+ * components stack, only the last one keeps focus within itself.
+ * @param {tv.ui.Component} modal Component that traps focus, usually dialog.
+ * @see #removeModal
+ */
+tv.ui.Document.prototype.pushModal = function(modal) {
+  this.modals_.push(modal);
+};
+
+/**
+ * Removes component from stack of modal components, not necessarily the last
+ * one.
+ * @param {tv.ui.Component} modal Modal component.
+ */
+tv.ui.Document.prototype.removeModal = function(modal) {
+  goog.array.remove(this.modals_, modal);
+};
+
+/**
+ * @return {tv.ui.Component} Modal component focus is kept within, if any.
+ */
+tv.ui.Document.prototype.getModal = function() {
+  return goog.array.peek(this.modals_) || null;
+};
+
+/**
+ * @param {tv.ui.Component} component Component to check.
+ * @return {boolean} Whether component could be focused with respect to modal
+ *     component, i.e. it's either modal component or its descendant.
+ * @private
+ */
+tv.ui.Document.prototype.isWithinModal_ = function(component) {
+  var modal = this.getModal();
+  return !modal || !component || goog.array.contains(
+      this.getAncestorsAndSelf_(component), modal);
+};
+
+/**
+ * @return {boolean} Whether spatial navigation is enabled in whole document.
+ * @see #setSpatialNavigation
+ */
+tv.ui.Document.prototype.isSpatialNavigation = function() {
+  return this.spatialNavigation_;
+};
+
+/**
+ * Enables or disables spatial navigation in whole document. In this mode
+ * arrow keys move focus to the visually nearest component in direction of
+ * key, across container boundaries, instead of to the next child in order.
+ * To enable it for some containers only, use
+ * tv.ui.Container.Class.SPATIAL_NAVIGATION.
+ * @param {boolean} spatialNavigation Whether to enable spatial navigation.
+ */
+tv.ui.Document.prototype.setSpatialNavigation = function(spatialNavigation) {
+  this.spatialNavigation_ = spatialNavigation;
 };
 
 /**
@@ -92,7 +829,10 @@ tv.ui.Document.prototype.getFocusedComponent = function() {
 /**
  * Sets focused component in document.
  * Note that it is not guaranteed that component will be focused immediately
- * after exiting this method or even at all.
+ * after exiting this method or even at all. Listeners of BEFORE_FOCUS event
+ * can veto or redirect focus change, and focus can't leave modal component.
+ * Selection changes in containers which are caused by focus change don't
+ * dispatch BEFORE_SELECT_CHILD events.
  * @param {tv.ui.Component} componentPendingFocus Component to focus.
  * @param {boolean} opt_noScroll Don't scroll focused component into viewport.
  */
@@ -113,11 +853,39 @@ tv.ui.Document.prototype.setFocusedComponent = function(
 
   while (true) {
     componentPendingFocus = this.componentPendingFocus_;
-    if (this.focusedComponent_ == componentPendingFocus) {
+    if (this.focusedComponent_ == componentPendingFocus ||
+        !this.isWithinModal_(componentPendingFocus)) {
       delete this.componentPendingFocus_;
       return;
     }
 
+    if (componentPendingFocus) {
+      var beforeFocusEvent = new tv.ui.Document.BeforeFocusEvent(
+          this.focusedComponent_, componentPendingFocus,
+          this.dispatchedKeyCode_);
+      var confirmed = componentPendingFocus.dispatchEvent(beforeFocusEvent);
+
+      // Listener requested focus change by itself, start over.
+      if (this.componentPendingFocus_ != componentPendingFocus) {
+        continue;
+      }
+
+      if (!confirmed) {
+        delete this.componentPendingFocus_;
+        return;
+      }
+
+      // Listener could redirect focus, component it redirected to doesn't
+      // get its own event.
+      componentPendingFocus = this.componentPendingFocus_ =
+          beforeFocusEvent.component;
+      if (this.focusedComponent_ == componentPendingFocus ||
+          !this.isWithinModal_(componentPendingFocus)) {
+        delete this.componentPendingFocus_;
+        return;
+      }
+    }
+
     // Find lowest common ancestor in component tree.
     var blurCandidates = this.getAncestorsAndSelf_(this.focusedComponent_);
     var focusCandidates = this.getAncestorsAndSelf_(componentPendingFocus);
@@ -144,7 +912,7 @@ tv.ui.Document.prototype.setFocusedComponent = function(
       selectIndex--;
     }
     for (; selectIndex >= 0; selectIndex--) {
-      focusCandidates[selectIndex + 1].setSelectedChild(
+      focusCandidates[selectIndex + 1].selectChild_(
           focusCandidates[selectIndex], this.noScroll_);
     }
 
@@ -14,11 +14,19 @@
 
 /**
  * @fileoverview Two-dimensional grid. It's a container that consists
- * of other containers, whose selections are synchronized.
+ * of other containers, rows of the grid. Rows scroll independently, and when
+ * selection moves between them, it's aligned by position of child components
+ * rather than by their indices, so rows may consist of children of different
+ * sizes.
  *
  */
 goog.provide('tv.ui.Grid');
 
+goog.require('goog.array');
+goog.require('goog.asserts');
+goog.require('goog.dom.classes');
+goog.require('goog.math.Range');
+goog.require('goog.style');
 goog.require('tv.ui.Container');
 
 /**
@@ -37,6 +45,17 @@ goog.inherits(tv.ui.Grid, tv.ui.Container);
 tv.ui.Grid.CLASS = 'tv-grid';
 tv.ui.registerDecorator(tv.ui.Grid, tv.ui.Grid.CLASS);
 
+/**
+ * Coordinate across rows which selection sticks to when it moves between rows,
+ * measured from start of grid element. Selection returns to the same column
+ * even if it passed through row with child spanning several columns.
+ * Undefined until selection moves between rows after it has been moved within
+ * row.
+ * @type {number|undefined}
+ * @private
+ */
+tv.ui.Grid.prototype.stickyCoordinate_;
+
 /**
  * @inheritDoc
  */
@@ -47,8 +66,20 @@ tv.ui.Grid.prototype.getClass = function() {
 /**
  * @inheritDoc
  */
-tv.ui.Grid.prototype.addChild = function(child) {
-  goog.base(this, 'addChild', child);
+tv.ui.Grid.prototype.decorate = function(element) {
+  goog.base(this, 'decorate', element);
+
+  this.getEventHandler().listen(
+      this,
+      tv.ui.Container.EventType.BEFORE_SELECT_CHILD,
+      this.onBeforeSelectChild_);
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.Grid.prototype.insertChildAt = function(child, index) {
+  goog.base(this, 'insertChildAt', child, index);
 
   goog.asserts.assert(
       goog.dom.classes.has(child.getElement(), tv.ui.Container.CLASS),
@@ -61,21 +92,100 @@ tv.ui.Grid.prototype.addChild = function(child) {
 };
 
 /**
- * Synchronizes all containers' selected child indices.
+ * @inheritDoc
+ */
+tv.ui.Grid.prototype.onChildRemoved = function(child) {
+  goog.base(this, 'onChildRemoved', child);
+
+  this.getEventHandler().unlisten(
+      child,
+      tv.ui.Container.EventType.SELECT_CHILD,
+      this.onSelectChild_);
+};
+
+/**
+ * Forgets sticky coordinate when selection moves within selected row.
  * @param event {goog.events.Event} Selection event.
  * @private
  */
 tv.ui.Grid.prototype.onSelectChild_ = function(event) {
-  var currentRow = event.target;
-
-  var selectedIndex = goog.array.indexOf(
-      currentRow.getChildren(),
-      currentRow.getSelectedChild());
-
-  goog.array.forEach(this.getChildren(), function(child) {
-     if (child != currentRow) {
-       var index = Math.min(selectedIndex, child.getChildren().length - 1);
-       child.setSelectedChild(child.getChildren()[index]);
-     }
-  });
+  if (event.target == this.getSelectedChild()) {
+    delete this.stickyCoordinate_;
+  }
+};
+
+/**
+ * Aligns selection of row that is about to be selected with selection of
+ * currently selected row. Selection is aligned by position when it moves
+ * between rows by key, and by index when it's moved programmatically.
+ * @param {tv.ui.Container.BeforeSelectChildEvent} event Selection event.
+ * @private
+ */
+tv.ui.Grid.prototype.onBeforeSelectChild_ = function(event) {
+  var previousRow = /** @type {tv.ui.Container} */(event.previousChild);
+  var row = /** @type {tv.ui.Container} */(event.child);
+  if (event.target != this || !previousRow || !row) {
+    return;
+  }
+
+  var previousItem = previousRow.getSelectedChild();
+  if (!event.keyCode) {
+    // Without key there is no column to stick to.
+    delete this.stickyCoordinate_;
+    var items = row.getChildren();
+    if (previousItem && items.length) {
+      var index = Math.min(
+          goog.array.indexOf(previousRow.getChildren(), previousItem),
+          items.length - 1);
+      row.setSelectedChild(items[index]);
+    }
+    return;
+  }
+
+  if (!goog.isDef(this.stickyCoordinate_)) {
+    if (!previousItem) {
+      return;
+    }
+    var previousItemRange = this.getCrossRange_(previousItem.getElement());
+    this.stickyCoordinate_ =
+        (previousItemRange.start + previousItemRange.end) / 2;
+  }
+
+  // Look for child which is nearest to sticky coordinate, child spanning
+  // several columns contains it.
+  var nearestItem = null;
+  var nearestItemDistance = Infinity;
+  goog.array.forEach(row.getChildren(), function(item) {
+    if (!item.getSelectedDescendantOrSelf()) {
+      return;
+    }
+    var itemRange = this.getCrossRange_(item.getElement());
+    var itemDistance = Math.max(
+        0,
+        itemRange.start - this.stickyCoordinate_,
+        this.stickyCoordinate_ - itemRange.end);
+    if (itemDistance < nearestItemDistance) {
+      nearestItem = item;
+      nearestItemDistance = itemDistance;
+    }
+  }, this);
+
+  nearestItem && row.setSelectedChild(nearestItem);
+};
+
+/**
+ * Measures where element is displayed across rows, taking scrolling of rows
+ * into account.
+ * @param {Element} element Element to measure.
+ * @return {goog.math.Range} Range of horizontal coordinates for vertical grid
+ *     or vertical coordinates for horizontal one, relative to grid element.
+ * @private
+ */
+tv.ui.Grid.prototype.getCrossRange_ = function(element) {
+  var bounds = goog.style.getBounds(element);
+  var gridOffset = goog.style.getPageOffset(this.getElement());
+  var start = this.isVertical() ?
+      bounds.left - gridOffset.x : bounds.top - gridOffset.y;
+  return new goog.math.Range(
+      start, start + (this.isVertical() ? bounds.width : bounds.height));
 };
@@ -20,6 +20,8 @@ goog.provide('tv.ui.Input');
 goog.require('goog.dom');
 goog.require('goog.dom.selection');
 goog.require('goog.events.InputHandler');
+goog.require('goog.events');
+goog.require('goog.events.KeyCodes');
 goog.require('tv.ui');
 goog.require('tv.ui.Component');
 
@@ -57,6 +59,19 @@ tv.ui.Input.Class = {
   HINT_SHOWN: 'tv-input-hint-shown'
 };
 
+/**
+ * Event types dispatched by input.
+ * @enum {string}
+ */
+tv.ui.Input.EventType = {
+  /**
+   * Dispatched when user confirms entered text, by pressing Enter key or
+   * submit key of on-screen keyboard.
+   * @see #submit
+   */
+  SUBMIT: goog.events.getUniqueId('submit')
+};
+
 /**
  * @type {Element}
  * @private
@@ -109,7 +124,8 @@ tv.ui.Input.prototype.getClass = function() {
 
 /**
  * Handles key event.
- * Consumes navigation keys if cursor is not on the boundaries of input.
+ * Consumes navigation keys if cursor is not on the boundaries of input, as
+ * well as editing keys.
  * @param {goog.events.KeyEvent} event Key event.
  * @protected
  */
@@ -122,6 +138,10 @@ tv.ui.Input.prototype.onKey = function(event) {
   var hasSelection = selectionPoints[0] != selectionPoints[1];
 
   switch (event.keyCode) {
+    // Not SELECT action, as Space is typed into input like other characters.
+    case goog.events.KeyCodes.ENTER:
+      this.submit();
+      break;
     case goog.events.KeyCodes.LEFT:
         if (selectionPoints[0] != 0 || hasSelection) {
           event.stopPropagation();
@@ -133,6 +153,16 @@ tv.ui.Input.prototype.onKey = function(event) {
         event.stopPropagation();
       }
       break;
+    case goog.events.KeyCodes.HOME:
+    case goog.events.KeyCodes.END:
+      event.stopPropagation();
+      break;
+    default:
+      // Typed characters, such as digits, shouldn't move selection of
+      // ancestor containers.
+      if (goog.events.KeyCodes.isCharacterKey(event.keyCode)) {
+        event.stopPropagation();
+      }
   }
 };
 
@@ -166,6 +196,84 @@ tv.ui.Input.prototype.onInput = function(event) {
   this.updateHintVisibility_();
 };
 
+/**
+ * @return {string} Text of input.
+ */
+tv.ui.Input.prototype.getValue = function() {
+  return this.inputElement_.value;
+};
+
+/**
+ * Sets text of input and moves cursor to its end. Unlike typed text, doesn't
+ * fire input event.
+ * @param {string} value Text of input.
+ */
+tv.ui.Input.prototype.setValue = function(value) {
+  this.inputElement_.value = value;
+  goog.dom.selection.setCursorPosition(this.inputElement_, value.length);
+  this.updateHintVisibility_();
+};
+
+/**
+ * Inserts text at cursor position, replacing selected text, as if it was
+ * typed by user. Used by on-screen keyboards.
+ * @param {string} text Text to insert.
+ */
+tv.ui.Input.prototype.insertText = function(text) {
+  var selectionPoints = goog.dom.selection.getEndPoints(this.inputElement_);
+  var value = this.inputElement_.value;
+  this.inputElement_.value = value.substring(0, selectionPoints[0]) + text +
+      value.substring(selectionPoints[1]);
+  goog.dom.selection.setCursorPosition(
+      this.inputElement_, selectionPoints[0] + text.length);
+  this.dispatchInputEvent_();
+};
+
+/**
+ * Deletes selected text or character before cursor, as if Backspace key was
+ * pressed by user.
+ */
+tv.ui.Input.prototype.deleteBackward = function() {
+  var selectionPoints = goog.dom.selection.getEndPoints(this.inputElement_);
+  var start = selectionPoints[0];
+  if (start == selectionPoints[1]) {
+    if (start == 0) {
+      return;
+    }
+    start--;
+  }
+
+  var value = this.inputElement_.value;
+  this.inputElement_.value =
+      value.substring(0, start) + value.substring(selectionPoints[1]);
+  goog.dom.selection.setCursorPosition(this.inputElement_, start);
+  this.dispatchInputEvent_();
+};
+
+/**
+ * Dispatches submit event.
+ */
+tv.ui.Input.prototype.submit = function() {
+  this.dispatchEvent(tv.ui.Input.EventType.SUBMIT);
+};
+
+/**
+ * Dispatches native input event on input element, so that text changed
+ * programmatically is handled by listeners the same way as typed one.
+ * @private
+ */
+tv.ui.Input.prototype.dispatchInputEvent_ = function() {
+  var document = this.inputElement_.ownerDocument;
+  if (document.createEvent) {
+    var event = document.createEvent('HTMLEvents');
+    event.initEvent(goog.events.InputHandler.EventType.INPUT, true, false);
+    this.inputElement_.dispatchEvent(event);
+  } else {
+    // Input event can't be fired in old IE, update hint directly at least.
+    this.updateHintVisibility_();
+  }
+};
+
 /**
  * Shows or hides hint.
  * @private
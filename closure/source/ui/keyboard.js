@@ -0,0 +1,612 @@
+// Copyright 2011 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview On-screen keyboard for text input, usable with D-pad only.
+ * Keyboard is a grid of buttons built from one of layouts, rows of keys are
+ * generated by keyboard itself when layouts are set or input is attached.
+ * Typed text goes to attached input the same way as text typed on physical
+ * keyboard, so input events are fired.
+ */
+goog.provide('tv.ui.Keyboard');
+
+goog.require('goog.array');
+goog.require('goog.asserts');
+goog.require('goog.dom');
+goog.require('goog.dom.classes');
+goog.require('goog.object');
+goog.require('tv.ui');
+goog.require('tv.ui.Button');
+goog.require('tv.ui.Container');
+goog.require('tv.ui.Grid');
+goog.require('tv.ui.Input');
+
+/**
+ * Constructs keyboard.
+ * @constructor
+ * @extends {tv.ui.Grid}
+ */
+tv.ui.Keyboard = function() {
+  goog.base(this);
+};
+goog.inherits(tv.ui.Keyboard, tv.ui.Grid);
+
+/**
+ * @type {string} Main CSS class that triggers decoration.
+ */
+tv.ui.Keyboard.CLASS = 'tv-keyboard';
+tv.ui.registerDecorator(tv.ui.Keyboard, tv.ui.Keyboard.CLASS);
+
+/**
+ * CSS classes that control and reflect look and feel of keyboard.
+ * @enum {string}
+ */
+tv.ui.Keyboard.Class = {
+  /**
+   * Applied to generated row elements.
+   */
+  ROW: 'tv-keyboard-row',
+
+  /**
+   * Applied to generated key elements.
+   */
+  KEY: 'tv-keyboard-key',
+
+  /**
+   * Applied to shift key element.
+   */
+  SHIFT_KEY: 'tv-keyboard-shift-key',
+
+  /**
+   * Applied to caps lock key element.
+   */
+  CAPS_KEY: 'tv-keyboard-caps-key',
+
+  /**
+   * Applied to backspace key element.
+   */
+  BACKSPACE_KEY: 'tv-keyboard-backspace-key',
+
+  /**
+   * Applied to space key element.
+   */
+  SPACE_KEY: 'tv-keyboard-space-key',
+
+  /**
+   * Applied to submit key element.
+   */
+  SUBMIT_KEY: 'tv-keyboard-submit-key',
+
+  /**
+   * Applied to key element which switches to next layout.
+   */
+  LAYOUT_KEY: 'tv-keyboard-layout-key',
+
+  /**
+   * Applied to root element while shift is pressed.
+   * @see #setShift
+   */
+  SHIFTED: 'tv-keyboard-shifted',
+
+  /**
+   * Applied to root element while caps lock is on.
+   * @see #setCapsLock
+   */
+  CAPS_LOCKED: 'tv-keyboard-caps-locked'
+};
+
+/**
+ * Special keys of keyboard. Any other key of layout types its own text.
+ * @enum {string}
+ */
+tv.ui.Keyboard.Key = {
+  /**
+   * Changes case of next typed character.
+   */
+  SHIFT: 'shift',
+  /**
+   * Changes case of all typed characters until pressed again.
+   */
+  CAPS: 'caps',
+  BACKSPACE: 'backspace',
+  SPACE: 'space',
+  /**
+   * Submits attached input.
+   * @see tv.ui.Input#submit
+   */
+  SUBMIT: 'submit',
+  /**
+   * Switches keyboard to next of its layouts.
+   * @see #setLayouts
+   */
+  LAYOUT: 'layout'
+};
+
+/**
+ * Attribute of key element which holds its key.
+ * @type {string}
+ */
+tv.ui.Keyboard.KEY_ATTRIBUTE = 'data-tv-keyboard-key';
+
+/**
+ * Labels of special keys.
+ * @type {Object.<tv.ui.Keyboard.Key, string>}
+ */
+tv.ui.Keyboard.KEY_LABELS = goog.object.create(
+    tv.ui.Keyboard.Key.SHIFT, 'Shift',
+    tv.ui.Keyboard.Key.CAPS, 'Caps',
+    tv.ui.Keyboard.Key.BACKSPACE, 'Del',
+    tv.ui.Keyboard.Key.SPACE, 'Space',
+    tv.ui.Keyboard.Key.SUBMIT, 'Done');
+
+/**
+ * CSS classes of special keys.
+ * @type {Object.<tv.ui.Keyboard.Key, tv.ui.Keyboard.Class>}
+ */
+tv.ui.Keyboard.KEY_CLASSES = goog.object.create(
+    tv.ui.Keyboard.Key.SHIFT, tv.ui.Keyboard.Class.SHIFT_KEY,
+    tv.ui.Keyboard.Key.CAPS, tv.ui.Keyboard.Class.CAPS_KEY,
+    tv.ui.Keyboard.Key.BACKSPACE, tv.ui.Keyboard.Class.BACKSPACE_KEY,
+    tv.ui.Keyboard.Key.SPACE, tv.ui.Keyboard.Class.SPACE_KEY,
+    tv.ui.Keyboard.Key.SUBMIT, tv.ui.Keyboard.Class.SUBMIT_KEY,
+    tv.ui.Keyboard.Key.LAYOUT, tv.ui.Keyboard.Class.LAYOUT_KEY);
+
+/**
+ * Built-in layouts.
+ * @enum {string}
+ */
+tv.ui.Keyboard.Layout = {
+  QWERTY: 'qwerty',
+  /**
+   * German layout.
+   */
+  QWERTZ: 'qwertz',
+  /**
+   * French layout.
+   */
+  AZERTY: 'azerty',
+  ALPHABETICAL: 'alphabetical',
+  NUMERIC: 'numeric',
+  SYMBOLS: 'symbols'
+};
+
+/**
+ * Splits string into single-character keys.
+ * @param {string} characters Characters of keys.
+ * @return {Array.<string>} Keys.
+ * @private
+ */
+tv.ui.Keyboard.split_ = function(characters) {
+  return characters.split('');
+};
+
+/**
+ * Rows of keys of known layouts, by layout name. Keys are either special keys
+ * or text they type, which is usually single lower-case character.
+ * @type {Object.<string, Array.<Array.<string>>>}
+ * @see #registerLayout
+ */
+tv.ui.Keyboard.LAYOUTS = goog.object.create(
+    tv.ui.Keyboard.Layout.QWERTY, [
+      tv.ui.Keyboard.split_('1234567890'),
+      tv.ui.Keyboard.split_('qwertyuiop'),
+      tv.ui.Keyboard.split_('asdfghjkl'),
+      [tv.ui.Keyboard.Key.SHIFT].concat(
+          tv.ui.Keyboard.split_('zxcvbnm'), [tv.ui.Keyboard.Key.BACKSPACE]),
+      [
+        tv.ui.Keyboard.Key.CAPS,
+        tv.ui.Keyboard.Key.LAYOUT,
+        tv.ui.Keyboard.Key.SPACE,
+        tv.ui.Keyboard.Key.SUBMIT
+      ]
+    ],
+    tv.ui.Keyboard.Layout.QWERTZ, [
+      tv.ui.Keyboard.split_('1234567890\u00df'),
+      tv.ui.Keyboard.split_('qwertzuiop\u00fc'),
+      tv.ui.Keyboard.split_('asdfghjkl\u00f6\u00e4'),
+      [tv.ui.Keyboard.Key.SHIFT].concat(
+          tv.ui.Keyboard.split_('yxcvbnm'), [tv.ui.Keyboard.Key.BACKSPACE]),
+      [
+        tv.ui.Keyboard.Key.CAPS,
+        tv.ui.Keyboard.Key.LAYOUT,
+        tv.ui.Keyboard.Key.SPACE,
+        tv.ui.Keyboard.Key.SUBMIT
+      ]
+    ],
+    tv.ui.Keyboard.Layout.AZERTY, [
+      tv.ui.Keyboard.split_('1234567890'),
+      tv.ui.Keyboard.split_('azertyuiop'),
+      tv.ui.Keyboard.split_('qsdfghjklm'),
+      [tv.ui.Keyboard.Key.SHIFT].concat(
+          tv.ui.Keyboard.split_('wxcvbn\u00e9\u00e8\u00e0\u00e7'),
+          [tv.ui.Keyboard.Key.BACKSPACE]),
+      [
+        tv.ui.Keyboard.Key.CAPS,
+        tv.ui.Keyboard.Key.LAYOUT,
+        tv.ui.Keyboard.Key.SPACE,
+        tv.ui.Keyboard.Key.SUBMIT
+      ]
+    ],
+    tv.ui.Keyboard.Layout.ALPHABETICAL, [
+      tv.ui.Keyboard.split_('1234567890'),
+      tv.ui.Keyboard.split_('abcdefghi'),
+      tv.ui.Keyboard.split_('jklmnopqr'),
+      [tv.ui.Keyboard.Key.SHIFT].concat(
+          tv.ui.Keyboard.split_('stuvwxyz'), [tv.ui.Keyboard.Key.BACKSPACE]),
+      [
+        tv.ui.Keyboard.Key.CAPS,
+        tv.ui.Keyboard.Key.LAYOUT,
+        tv.ui.Keyboard.Key.SPACE,
+        tv.ui.Keyboard.Key.SUBMIT
+      ]
+    ],
+    tv.ui.Keyboard.Layout.NUMERIC, [
+      tv.ui.Keyboard.split_('123'),
+      tv.ui.Keyboard.split_('456'),
+      tv.ui.Keyboard.split_('789'),
+      [
+        tv.ui.Keyboard.Key.BACKSPACE,
+        '0',
+        tv.ui.Keyboard.Key.SUBMIT
+      ]
+    ],
+    tv.ui.Keyboard.Layout.SYMBOLS, [
+      tv.ui.Keyboard.split_('!@#$%^&*()'),
+      tv.ui.Keyboard.split_('-_=+[]{}\\|'),
+      tv.ui.Keyboard.split_(';:\'",.<>/?'),
+      tv.ui.Keyboard.split_('`~').concat([tv.ui.Keyboard.Key.BACKSPACE]),
+      [
+        tv.ui.Keyboard.Key.LAYOUT,
+        tv.ui.Keyboard.Key.SPACE,
+        tv.ui.Keyboard.Key.SUBMIT
+      ]
+    ]);
+
+/**
+ * Labels of layout key, by name of layout it switches to. Name of layout is
+ * used as label if it isn't listed.
+ * @type {Object.<string, string>}
+ */
+tv.ui.Keyboard.LAYOUT_LABELS = goog.object.create(
+    tv.ui.Keyboard.Layout.QWERTY, 'ABC',
+    tv.ui.Keyboard.Layout.QWERTZ, 'ABC',
+    tv.ui.Keyboard.Layout.AZERTY, 'ABC',
+    tv.ui.Keyboard.Layout.ALPHABETICAL, 'ABC',
+    tv.ui.Keyboard.Layout.NUMERIC, '123',
+    tv.ui.Keyboard.Layout.SYMBOLS, '#+=');
+
+/**
+ * Letter layouts of languages that don't use QWERTY, by language code.
+ * @type {Object.<string, tv.ui.Keyboard.Layout>}
+ */
+tv.ui.Keyboard.LOCALE_LAYOUTS = goog.object.create(
+    'de', tv.ui.Keyboard.Layout.QWERTZ,
+    'fr', tv.ui.Keyboard.Layout.AZERTY);
+
+/**
+ * Registers custom layout.
+ * @param {string} layout Name of layout.
+ * @param {Array.<Array.<string>>} rows Rows of keys, see
+ *     tv.ui.Keyboard.LAYOUTS for format.
+ */
+tv.ui.Keyboard.registerLayout = function(layout, rows) {
+  tv.ui.Keyboard.LAYOUTS[layout] = rows;
+};
+
+/**
+ * @param {string=} opt_locale Locale, such as 'de' or 'fr_CA', goog.LOCALE
+ *     by default.
+ * @return {string} Letter layout for given locale.
+ */
+tv.ui.Keyboard.getLocaleLayout = function(opt_locale) {
+  var language = (opt_locale || goog.LOCALE).split(/[-_]/)[0].toLowerCase();
+  return tv.ui.Keyboard.LOCALE_LAYOUTS[language] ||
+      tv.ui.Keyboard.Layout.QWERTY;
+};
+
+/**
+ * @type {tv.ui.Input}
+ * @private
+ */
+tv.ui.Keyboard.prototype.input_;
+
+/**
+ * Names of layouts keyboard switches between.
+ * @type {Array.<string>}
+ * @private
+ */
+tv.ui.Keyboard.prototype.layouts_;
+
+/**
+ * Index of current layout.
+ * @type {number}
+ * @private
+ */
+tv.ui.Keyboard.prototype.layoutIndex_ = 0;
+
+/**
+ * @type {boolean}
+ * @private
+ */
+tv.ui.Keyboard.prototype.shift_ = false;
+
+/**
+ * @type {boolean}
+ * @private
+ */
+tv.ui.Keyboard.prototype.capsLock_ = false;
+
+/**
+ * @inheritDoc
+ */
+tv.ui.Keyboard.prototype.getClass = function() {
+  return tv.ui.Keyboard.CLASS;
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.Keyboard.prototype.decorate = function(element) {
+  goog.dom.classes.add(element, tv.ui.Container.Class.VERTICAL);
+  goog.base(this, 'decorate', element);
+
+  this.getEventHandler().listen(
+      this, tv.ui.Button.EventType.ACTION, this.onAction_);
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.Keyboard.prototype.disposeInternal = function() {
+  delete this.input_;
+  delete this.layouts_;
+
+  goog.base(this, 'disposeInternal');
+};
+
+/**
+ * @return {tv.ui.Input} Input typed text goes to.
+ */
+tv.ui.Keyboard.prototype.getInput = function() {
+  return this.input_ || null;
+};
+
+/**
+ * Attaches keyboard to input. Keyboard gets default layouts, letter layout for
+ * current locale and symbols, unless layouts have been set before.
+ * @param {tv.ui.Input} input Input typed text goes to, null to detach.
+ */
+tv.ui.Keyboard.prototype.setInput = function(input) {
+  this.input_ = input;
+  if (input && !this.layouts_) {
+    this.setLayouts([
+      tv.ui.Keyboard.getLocaleLayout(),
+      tv.ui.Keyboard.Layout.SYMBOLS
+    ]);
+  }
+};
+
+/**
+ * Sets layouts keyboard switches between with layout key, and shows first of
+ * them.
+ * @param {Array.<string>} layouts Names of built-in or registered layouts.
+ */
+tv.ui.Keyboard.prototype.setLayouts = function(layouts) {
+  goog.asserts.assert(layouts.length, 'Keyboard needs at least one layout.');
+  this.layouts_ = layouts;
+  this.layoutIndex_ = 0;
+  this.renderLayout_();
+};
+
+/**
+ * @return {?string} Name of current layout, null if keyboard has no layouts.
+ */
+tv.ui.Keyboard.prototype.getLayout = function() {
+  return this.layouts_ ? this.layouts_[this.layoutIndex_] : null;
+};
+
+/**
+ * Shows one of layouts keyboard switches between.
+ * @param {string} layout Name of layout.
+ */
+tv.ui.Keyboard.prototype.setLayout = function(layout) {
+  var layoutIndex = goog.array.indexOf(this.layouts_ || [], layout);
+  goog.asserts.assert(layoutIndex != -1, 'Layout isn\'t set for keyboard.');
+  if (layoutIndex != this.layoutIndex_) {
+    this.layoutIndex_ = layoutIndex;
+    this.renderLayout_();
+  }
+};
+
+/**
+ * Replaces rows of keys with ones of current layout. If keyboard has been
+ * focused, focus stays on the same key or moves to first one.
+ * @private
+ */
+tv.ui.Keyboard.prototype.renderLayout_ = function() {
+  var rows = tv.ui.Keyboard.LAYOUTS[this.getLayout()];
+  goog.asserts.assert(rows, 'Unknown keyboard layout.');
+
+  var focusedComponent = this.getDocument().getFocusedComponent();
+  var focusedKey = this.isFocused() && focusedComponent != this ?
+      tv.ui.Keyboard.getKey_(focusedComponent) : null;
+
+  // Keep focus on keyboard itself while rows are replaced, so that it
+  // doesn't go elsewhere.
+  goog.isNull(focusedKey) || this.getDocument().setFocusedComponent(this);
+
+  var children = this.getChildren();
+  while (children.length) {
+    this.removeChild(children[children.length - 1]).dispose();
+  }
+
+  goog.array.forEach(rows, function(keys) {
+    var rowElement = goog.dom.createDom('div', [
+      tv.ui.Container.Class.HORIZONTAL,
+      tv.ui.Keyboard.Class.ROW
+    ].join(' '));
+    goog.array.forEach(keys, function(key) {
+      var keyElement = goog.dom.createDom('div', [
+        tv.ui.Button.CLASS,
+        tv.ui.Keyboard.Class.KEY
+      ].join(' '));
+      keyElement.setAttribute(tv.ui.Keyboard.KEY_ATTRIBUTE, key);
+      var keyClass = tv.ui.Keyboard.KEY_CLASSES[key];
+      keyClass && goog.dom.classes.add(keyElement, keyClass);
+      rowElement.appendChild(keyElement);
+    });
+
+    tv.ui.decorate(rowElement);
+    this.addChild(tv.ui.getComponentByElement(rowElement));
+  }, this);
+
+  this.updateKeyLabels_();
+  if (!goog.isNull(focusedKey)) {
+    (this.getKeyButton(focusedKey) || this).tryFocus();
+  }
+};
+
+/**
+ * @param {tv.ui.Component} component Component of keyboard.
+ * @return {?string} Key of given component, null if it isn't a key.
+ * @private
+ */
+tv.ui.Keyboard.getKey_ = function(component) {
+  return component.getElement().getAttribute(tv.ui.Keyboard.KEY_ATTRIBUTE);
+};
+
+/**
+ * @param {string} key Special key or text key types.
+ * @return {tv.ui.Button} Button of given key in current layout, if any.
+ */
+tv.ui.Keyboard.prototype.getKeyButton = function(key) {
+  var keyButton = null;
+  goog.array.find(this.getChildren(), function(row) {
+    keyButton = goog.array.find(row.getChildren(), function(button) {
+      return tv.ui.Keyboard.getKey_(button) == key;
+    });
+    return !!keyButton;
+  });
+  return /** @type {tv.ui.Button} */(keyButton);
+};
+
+/**
+ * Updates labels of keys according to shift and caps lock state.
+ * @private
+ */
+tv.ui.Keyboard.prototype.updateKeyLabels_ = function() {
+  var nextLayout =
+      this.layouts_[(this.layoutIndex_ + 1) % this.layouts_.length];
+  goog.array.forEach(this.getChildren(), function(row) {
+    goog.array.forEach(row.getChildren(), function(button) {
+      var key = tv.ui.Keyboard.getKey_(button);
+      var label = key == tv.ui.Keyboard.Key.LAYOUT ?
+          tv.ui.Keyboard.LAYOUT_LABELS[nextLayout] || nextLayout :
+          tv.ui.Keyboard.KEY_LABELS[key] || this.applyCase_(key);
+      goog.dom.setTextContent(button.getElement(), label);
+    }, this);
+  }, this);
+};
+
+/**
+ * @param {string} text Text of key.
+ * @return {string} Text with case changed according to shift and caps lock
+ *     state.
+ * @private
+ */
+tv.ui.Keyboard.prototype.applyCase_ = function(text) {
+  return this.shift_ != this.capsLock_ ? text.toUpperCase() : text;
+};
+
+/**
+ * @return {boolean} Whether shift is pressed.
+ */
+tv.ui.Keyboard.prototype.isShift = function() {
+  return this.shift_;
+};
+
+/**
+ * Presses or releases shift. Shift changes case of next typed character only.
+ * @param {boolean} shift Whether shift is pressed.
+ */
+tv.ui.Keyboard.prototype.setShift = function(shift) {
+  this.shift_ = shift;
+  goog.dom.classes.enable(
+      this.getElement(), tv.ui.Keyboard.Class.SHIFTED, shift);
+  this.layouts_ && this.updateKeyLabels_();
+};
+
+/**
+ * @return {boolean} Whether caps lock is on.
+ */
+tv.ui.Keyboard.prototype.isCapsLock = function() {
+  return this.capsLock_;
+};
+
+/**
+ * Turns caps lock on or off.
+ * @param {boolean} capsLock Whether caps lock is on.
+ */
+tv.ui.Keyboard.prototype.setCapsLock = function(capsLock) {
+  this.capsLock_ = capsLock;
+  goog.dom.classes.enable(
+      this.getElement(), tv.ui.Keyboard.Class.CAPS_LOCKED, capsLock);
+  this.layouts_ && this.updateKeyLabels_();
+};
+
+/**
+ * Performs action of key as if its button was pressed.
+ * @param {string} key Special key or text key types.
+ */
+tv.ui.Keyboard.prototype.pressKey = function(key) {
+  var input = this.input_;
+  switch (key) {
+    case tv.ui.Keyboard.Key.SHIFT:
+      this.setShift(!this.shift_);
+      break;
+    case tv.ui.Keyboard.Key.CAPS:
+      this.setCapsLock(!this.capsLock_);
+      break;
+    case tv.ui.Keyboard.Key.LAYOUT:
+      this.setLayout(
+          this.layouts_[(this.layoutIndex_ + 1) % this.layouts_.length]);
+      break;
+    case tv.ui.Keyboard.Key.BACKSPACE:
+      input && input.deleteBackward();
+      break;
+    case tv.ui.Keyboard.Key.SPACE:
+      input && input.insertText(' ');
+      break;
+    case tv.ui.Keyboard.Key.SUBMIT:
+      input && input.submit();
+      break;
+    default:
+      input && input.insertText(this.applyCase_(key));
+      this.shift_ && this.setShift(false);
+  }
+};
+
+/**
+ * Handles action event of key button.
+ * @param {goog.events.Event} event Action event.
+ * @private
+ */
+tv.ui.Keyboard.prototype.onAction_ = function(event) {
+  var key = tv.ui.Keyboard.getKey_(
+      /** @type {tv.ui.Component} */(event.target));
+  if (!goog.isNull(key)) {
+    event.stopPropagation();
+    this.pressKey(key);
+  }
+};
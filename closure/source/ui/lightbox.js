@@ -22,6 +22,7 @@
 goog.provide('tv.ui.Lightbox');
 
 goog.require('tv.ui.Container');
+goog.require('tv.ui.Document');
 
 /**
  * Constructs photo lightbox.
@@ -56,23 +57,42 @@ tv.ui.Lightbox.EventType = {
   CLOSE: goog.events.getUniqueId('close')
 };
 
+/**
+ * @inheritDoc
+ */
+tv.ui.Lightbox.prototype.decorate = function(element) {
+  goog.base(this, 'decorate', element);
+
+  // Lightbox is an overlay, Back key should bring focus back to where it was
+  // before lightbox has been opened.
+  this.getDocument().pushCheckpoint(this);
+  this.getEventHandler().listen(
+      this, tv.ui.Document.EventType.BACK, this.onBack);
+};
+
+/**
+ * Handles back event.
+ * Closes lightbox.
+ * @param {goog.events.Event} event Back event.
+ * @protected
+ */
+tv.ui.Lightbox.prototype.onBack = function(event) {
+  this.dispose();
+};
+
 /**
  * @inheritDoc
  */
 tv.ui.Lightbox.prototype.onKey = function(event) {
-  switch (event.keyCode) {
-    case goog.events.KeyCodes.ESC:
-      this.dispose();
-      event.stopPropagation();
-      break;
-    case goog.events.KeyCodes.SPACE:
+  switch (this.getKeyAction(event)) {
+    case tv.ui.Document.Action.SELECT:
       var selectedChild = this.findNextSelectableChild();
       if (selectedChild) {
         selectedChild.tryFocus();
         event.stopPropagation();
       }
       break;
-    case goog.events.KeyCodes.BACKSPACE:
+    case tv.ui.Document.Action.DELETE:
       var selectedChild = this.findPreviousSelectableChild();
       if (selectedChild) {
         selectedChild.tryFocus();
@@ -89,6 +109,7 @@ tv.ui.Lightbox.prototype.onKey = function(event) {
  */
 tv.ui.Lightbox.prototype.disposeInternal = function() {
   this.dispatchEvent(tv.ui.Lightbox.EventType.CLOSE);
+  this.getDocument().removeCheckpoints(this);
 
   goog.dom.removeNode(this.getElement());
   goog.dom.removeNode(this.backgroundElement_);
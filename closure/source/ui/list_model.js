@@ -0,0 +1,213 @@
+// Copyright 2011 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Ordered list of items that notifies listeners about its
+ * changes. Containers bound to list model create, update and dispose their
+ * children accordingly, so that same data could be shown in several views.
+ * Items are arbitrary values compared by identity, so every item should appear
+ * in list only once.
+ */
+goog.provide('tv.ui.ListModel');
+
+goog.require('goog.array');
+goog.require('goog.asserts');
+goog.require('goog.events');
+goog.require('goog.events.Event');
+goog.require('goog.events.EventTarget');
+
+/**
+ * Constructs list model.
+ * @param {Array=} opt_items Initial items.
+ * @constructor
+ * @extends {goog.events.EventTarget}
+ */
+tv.ui.ListModel = function(opt_items) {
+  goog.base(this);
+
+  /**
+   * @type {Array}
+   * @private
+   */
+  this.items_ = opt_items ? goog.array.clone(opt_items) : [];
+};
+goog.inherits(tv.ui.ListModel, goog.events.EventTarget);
+
+/**
+ * Events dispatched by list model.
+ * @enum {string}
+ */
+tv.ui.ListModel.EventType = {
+  /**
+   * Dispatched after item is added.
+   */
+  ADD: goog.events.getUniqueId('add'),
+  /**
+   * Dispatched after item is removed.
+   */
+  REMOVE: goog.events.getUniqueId('remove'),
+  /**
+   * Dispatched after item is changed in place.
+   */
+  UPDATE: goog.events.getUniqueId('update'),
+  /**
+   * Dispatched after all items are replaced at once.
+   */
+  RESET: goog.events.getUniqueId('reset')
+};
+
+/**
+ * Constructs event dispatched when list model changes.
+ * @param {tv.ui.ListModel.EventType} type Event type.
+ * @param {*=} opt_item Item that has been added, removed or updated.
+ * @param {number=} opt_index Index of item, for removed item it's index item
+ *     has had before removal.
+ * @constructor
+ * @extends {goog.events.Event}
+ */
+tv.ui.ListModel.Event = function(type, opt_item, opt_index) {
+  goog.base(this, type);
+
+  /**
+   * Item that has been added, removed or updated, undefined on reset.
+   * @type {*}
+   */
+  this.item = opt_item;
+
+  /**
+   * Index of item, -1 on reset.
+   * @type {number}
+   */
+  this.index = goog.isDef(opt_index) ? opt_index : -1;
+};
+goog.inherits(tv.ui.ListModel.Event, goog.events.Event);
+
+/**
+ * @inheritDoc
+ */
+tv.ui.ListModel.prototype.disposeInternal = function() {
+  delete this.items_;
+
+  goog.base(this, 'disposeInternal');
+};
+
+/**
+ * @return {Array} Items of list. Shouldn't be modified directly.
+ */
+tv.ui.ListModel.prototype.getItems = function() {
+  return this.items_;
+};
+
+/**
+ * @return {number} Number of items.
+ */
+tv.ui.ListModel.prototype.getCount = function() {
+  return this.items_.length;
+};
+
+/**
+ * @param {number} index Index of item.
+ * @return {*} Item at given index, undefined if index is out of range.
+ */
+tv.ui.ListModel.prototype.getItemAt = function(index) {
+  return this.items_[index];
+};
+
+/**
+ * @param {*} item Item to look for.
+ * @return {number} Index of item, -1 if there is no such item.
+ */
+tv.ui.ListModel.prototype.indexOf = function(item) {
+  return goog.array.indexOf(this.items_, item);
+};
+
+/**
+ * Adds item.
+ * @param {*} item Item to add.
+ * @param {number=} opt_index Index to insert item at, item is appended if
+ *     omitted.
+ */
+tv.ui.ListModel.prototype.add = function(item, opt_index) {
+  goog.asserts.assert(
+      this.indexOf(item) == -1, 'Item is already in list model.');
+  var index = goog.isDef(opt_index) ? opt_index : this.items_.length;
+  goog.array.insertAt(this.items_, item, index);
+
+  this.dispatchEvent(new tv.ui.ListModel.Event(
+      tv.ui.ListModel.EventType.ADD, item, index));
+};
+
+/**
+ * Appends several items, one by one.
+ * @param {Array} items Items to append.
+ */
+tv.ui.ListModel.prototype.addAll = function(items) {
+  goog.array.forEach(items, function(item) {
+    this.add(item);
+  }, this);
+};
+
+/**
+ * Removes item at given index.
+ * @param {number} index Index of item to remove.
+ * @return {*} Removed item.
+ */
+tv.ui.ListModel.prototype.removeAt = function(index) {
+  goog.asserts.assert(
+      index >= 0 && index < this.items_.length, 'Index is out of range.');
+  var item = this.items_[index];
+  goog.array.removeAt(this.items_, index);
+
+  this.dispatchEvent(new tv.ui.ListModel.Event(
+      tv.ui.ListModel.EventType.REMOVE, item, index));
+  return item;
+};
+
+/**
+ * Removes item.
+ * @param {*} item Item to remove.
+ * @return {boolean} Whether item has been in list.
+ */
+tv.ui.ListModel.prototype.remove = function(item) {
+  var index = this.indexOf(item);
+  if (index == -1) {
+    return false;
+  }
+  this.removeAt(index);
+  return true;
+};
+
+/**
+ * Notifies listeners that item has been changed in place.
+ * @param {*} item Changed item.
+ */
+tv.ui.ListModel.prototype.update = function(item) {
+  var index = this.indexOf(item);
+  goog.asserts.assert(index != -1, 'Item isn\'t in list model.');
+
+  this.dispatchEvent(new tv.ui.ListModel.Event(
+      tv.ui.ListModel.EventType.UPDATE, item, index));
+};
+
+/**
+ * Replaces all items at once. Items that are in both old and new lists are
+ * considered the same, so views keep their selection.
+ * @param {Array} items New items.
+ */
+tv.ui.ListModel.prototype.reset = function(items) {
+  this.items_ = goog.array.clone(items);
+
+  this.dispatchEvent(new tv.ui.ListModel.Event(
+      tv.ui.ListModel.EventType.RESET));
+};
@@ -59,8 +59,8 @@ tv.ui.Menu.prototype.getClass = function() {
 /**
  * @inheritDoc
  */
-tv.ui.Menu.prototype.addChild = function(child) {
-  goog.base(this, 'addChild', child);
+tv.ui.Menu.prototype.insertChildAt = function(child, index) {
+  goog.base(this, 'insertChildAt', child, index);
 
   if (child instanceof tv.ui.SubMenu) {
     this.getEventHandler().listen(
@@ -70,6 +70,20 @@ tv.ui.Menu.prototype.addChild = function(child) {
   }
 };
 
+/**
+ * @inheritDoc
+ */
+tv.ui.Menu.prototype.onChildRemoved = function(child) {
+  goog.base(this, 'onChildRemoved', child);
+
+  if (child instanceof tv.ui.SubMenu) {
+    this.getEventHandler().unlisten(
+        child,
+        tv.ui.Container.EventType.SELECT_CHILD,
+        this.onSubMenuSelectChild_);
+  }
+};
+
 /**
  * Handles selection change in one of sub-menus.
  * @param {goog.events.Event} event Selection change event.
@@ -0,0 +1,525 @@
+// Copyright 2011 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview PIN input is a row of digit cells for numeric codes, such as
+ * parental control or purchase confirmation PINs. Every child component is
+ * a cell, so PIN length is defined by markup. Digit keys of remote fill
+ * selected cell and move selection to the next one, Up and Down keys cycle
+ * digit of selected cell, Backspace key erases digits. PIN is submitted
+ * automatically once all cells are filled with digit keys, or with Enter key.
+ * Application checks submitted PIN and calls reject() if it's wrong, PIN input
+ * gets locked for a while after several failures in a row.
+ */
+goog.provide('tv.ui.PinInput');
+
+goog.require('goog.Timer');
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.dom.classes');
+goog.require('goog.events');
+goog.require('tv.ui');
+goog.require('tv.ui.Container');
+goog.require('tv.ui.Document');
+
+/**
+ * Constructs PIN input.
+ * @constructor
+ * @extends {tv.ui.Container}
+ */
+tv.ui.PinInput = function() {
+  goog.base(this);
+
+  /**
+   * Digits of cells, indexed by cell index, undefined for empty cells.
+   * @type {Array.<number|undefined>}
+   * @private
+   */
+  this.digits_ = [];
+};
+goog.inherits(tv.ui.PinInput, tv.ui.Container);
+
+/**
+ * @type {string} Main CSS class that triggers decoration.
+ */
+tv.ui.PinInput.CLASS = 'tv-pin-input';
+tv.ui.registerDecorator(tv.ui.PinInput, tv.ui.PinInput.CLASS);
+
+/**
+ * CSS classes that control and reflect look and feel of PIN input.
+ * @enum {string}
+ */
+tv.ui.PinInput.Class = {
+  /**
+   * Applied to root element if digits should be displayed as mask
+   * characters. Digit being cycled with Up and Down keys is still displayed.
+   * @see #setMasked
+   */
+  MASKED: 'tv-pin-input-masked',
+
+  /**
+   * Applied to root element for a short time after PIN has been rejected,
+   * supposed to trigger shake animation.
+   * @see #reject
+   */
+  ERROR: 'tv-pin-input-error',
+
+  /**
+   * Applied to root element while PIN input doesn't accept digits after too
+   * many failures.
+   * @see #isLocked
+   */
+  LOCKED: 'tv-pin-input-locked',
+
+  /**
+   * Applied to cell element that contains digit.
+   */
+  FILLED_CELL: 'tv-pin-input-filled-cell'
+};
+
+/**
+ * Event types dispatched by PIN input.
+ * @enum {string}
+ */
+tv.ui.PinInput.EventType = {
+  /**
+   * Dispatched when all cells are filled and user confirms PIN, either by
+   * entering last digit or by pressing Enter key.
+   * @see #getValue
+   */
+  SUBMIT: goog.events.getUniqueId('submit'),
+
+  /**
+   * Dispatched when PIN input gets locked after too many failures.
+   */
+  LOCK: goog.events.getUniqueId('lock'),
+
+  /**
+   * Dispatched when lockout expires.
+   */
+  UNLOCK: goog.events.getUniqueId('unlock')
+};
+
+/**
+ * Character displayed instead of digits in masked PIN input.
+ * @type {string}
+ */
+tv.ui.PinInput.MASK_CHARACTER = '\u2022';
+
+/**
+ * Time in milliseconds error class stays applied after PIN is rejected.
+ * Should match duration of error animation.
+ * @type {number}
+ */
+tv.ui.PinInput.ERROR_DURATION = 500;
+
+/**
+ * Default number of failures in a row after which PIN input gets locked.
+ * @type {number}
+ */
+tv.ui.PinInput.DEFAULT_MAX_FAILURES = 3;
+
+/**
+ * Default time in milliseconds PIN input stays locked.
+ * @type {number}
+ */
+tv.ui.PinInput.DEFAULT_LOCKOUT_DURATION = 30000;
+
+/**
+ * Index of cell whose digit is displayed despite masking, -1 if none.
+ * @type {number}
+ * @private
+ */
+tv.ui.PinInput.prototype.revealedIndex_ = -1;
+
+/**
+ * Number of PINs rejected in a row.
+ * @type {number}
+ * @private
+ */
+tv.ui.PinInput.prototype.failureCount_ = 0;
+
+/**
+ * @type {number}
+ * @private
+ */
+tv.ui.PinInput.prototype.maxFailures_ = tv.ui.PinInput.DEFAULT_MAX_FAILURES;
+
+/**
+ * @type {number}
+ * @private
+ */
+tv.ui.PinInput.prototype.lockoutDuration_ =
+    tv.ui.PinInput.DEFAULT_LOCKOUT_DURATION;
+
+/**
+ * Identifier of timer that removes error class.
+ * @type {?number}
+ * @private
+ */
+tv.ui.PinInput.prototype.errorTimerId_ = null;
+
+/**
+ * Identifier of timer that unlocks PIN input, null if it isn't locked.
+ * @type {?number}
+ * @private
+ */
+tv.ui.PinInput.prototype.lockoutTimerId_ = null;
+
+/**
+ * @inheritDoc
+ */
+tv.ui.PinInput.prototype.getClass = function() {
+  return tv.ui.PinInput.CLASS;
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.PinInput.prototype.decorate = function(element) {
+  goog.dom.classes.add(element, tv.ui.Container.Class.HORIZONTAL);
+  goog.base(this, 'decorate', element);
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.PinInput.prototype.disposeInternal = function() {
+  goog.Timer.clear(this.errorTimerId_);
+  goog.Timer.clear(this.lockoutTimerId_);
+  delete this.digits_;
+
+  goog.base(this, 'disposeInternal');
+};
+
+/**
+ * @return {string} Digits entered so far, empty cells are skipped.
+ */
+tv.ui.PinInput.prototype.getValue = function() {
+  return goog.array.filter(this.digits_, goog.isDef).join('');
+};
+
+/**
+ * @return {boolean} Whether all cells are filled.
+ */
+tv.ui.PinInput.prototype.isComplete = function() {
+  var cellCount = this.getChildren().length;
+  for (var i = 0; i < cellCount; i++) {
+    if (!goog.isDef(this.digits_[i])) {
+      return false;
+    }
+  }
+  return cellCount > 0;
+};
+
+/**
+ * Empties all cells and selects the first one.
+ */
+tv.ui.PinInput.prototype.clear = function() {
+  this.digits_ = [];
+  this.revealedIndex_ = -1;
+  goog.array.forEach(this.getChildren(), function(cell, index) {
+    this.updateCell_(index);
+  }, this);
+  this.selectCell_(0);
+};
+
+/**
+ * @return {boolean} Whether digits are displayed as mask characters.
+ */
+tv.ui.PinInput.prototype.isMasked = function() {
+  return goog.dom.classes.has(this.getElement(), tv.ui.PinInput.Class.MASKED);
+};
+
+/**
+ * Sets whether digits are displayed as mask characters, for instance to let
+ * user reveal entered PIN.
+ * @param {boolean} masked Whether digits should be masked.
+ */
+tv.ui.PinInput.prototype.setMasked = function(masked) {
+  goog.dom.classes.enable(
+      this.getElement(), tv.ui.PinInput.Class.MASKED, masked);
+  goog.array.forEach(this.getChildren(), function(cell, index) {
+    this.updateCell_(index);
+  }, this);
+};
+
+/**
+ * Sets number of failures in a row after which PIN input gets locked.
+ * @param {number} maxFailures Number of failures, 0 to never lock.
+ */
+tv.ui.PinInput.prototype.setMaxFailures = function(maxFailures) {
+  this.maxFailures_ = maxFailures;
+};
+
+/**
+ * Sets time PIN input stays locked after too many failures.
+ * @param {number} lockoutDuration Time in milliseconds.
+ */
+tv.ui.PinInput.prototype.setLockoutDuration = function(lockoutDuration) {
+  this.lockoutDuration_ = lockoutDuration;
+};
+
+/**
+ * @return {number} Number of PINs rejected in a row.
+ */
+tv.ui.PinInput.prototype.getFailureCount = function() {
+  return this.failureCount_;
+};
+
+/**
+ * @return {boolean} Whether PIN input doesn't accept digits because of too
+ *     many failures.
+ */
+tv.ui.PinInput.prototype.isLocked = function() {
+  return this.lockoutTimerId_ != null;
+};
+
+/**
+ * Enters digit into selected cell and selects next cell, as if digit key was
+ * pressed. Submits PIN once all cells are filled.
+ * @param {number} digit Digit from 0 to 9.
+ */
+tv.ui.PinInput.prototype.enterDigit = function(digit) {
+  var index = this.getSelectedIndex_();
+  if (this.isLocked() || index == -1) {
+    return;
+  }
+
+  this.concealDigit_();
+  this.setDigit_(index, digit);
+  if (index + 1 < this.getChildren().length) {
+    this.selectCell_(index + 1);
+  }
+  this.isComplete() && this.submit();
+};
+
+/**
+ * Erases digit of selected cell, or digit of previous cell and selects it if
+ * selected cell is empty, as if Backspace key was pressed.
+ */
+tv.ui.PinInput.prototype.deleteDigit = function() {
+  var index = this.getSelectedIndex_();
+  if (this.isLocked() || index == -1) {
+    return;
+  }
+
+  this.concealDigit_();
+  if (!goog.isDef(this.digits_[index]) && index > 0) {
+    index--;
+    this.selectCell_(index);
+  }
+  this.setDigit_(index, undefined);
+};
+
+/**
+ * Dispatches submit event if all cells are filled.
+ * @return {boolean} Whether PIN has been submitted.
+ */
+tv.ui.PinInput.prototype.submit = function() {
+  if (this.isLocked() || !this.isComplete()) {
+    return false;
+  }
+
+  this.concealDigit_();
+  this.dispatchEvent(tv.ui.PinInput.EventType.SUBMIT);
+  return true;
+};
+
+/**
+ * Notifies PIN input that submitted PIN is wrong. Clears cells, shows error
+ * state and locks PIN input if there have been too many failures in a row.
+ */
+tv.ui.PinInput.prototype.reject = function() {
+  this.clear();
+
+  var element = this.getElement();
+  goog.Timer.clear(this.errorTimerId_);
+  // Reapply class, so that error animation restarts.
+  goog.dom.classes.remove(element, tv.ui.PinInput.Class.ERROR);
+  goog.dom.classes.add(element, tv.ui.PinInput.Class.ERROR);
+  this.errorTimerId_ = goog.Timer.callOnce(function() {
+    this.errorTimerId_ = null;
+    goog.dom.classes.remove(element, tv.ui.PinInput.Class.ERROR);
+  }, tv.ui.PinInput.ERROR_DURATION, this);
+
+  this.failureCount_++;
+  if (this.maxFailures_ && this.failureCount_ >= this.maxFailures_) {
+    this.lock_();
+  }
+};
+
+/**
+ * Clears cells, failure count and lockout, for instance when PIN prompt is
+ * shown again after PIN has been accepted.
+ */
+tv.ui.PinInput.prototype.reset = function() {
+  this.failureCount_ = 0;
+  this.isLocked() && this.unlock_();
+  this.clear();
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.PinInput.prototype.onKey = function(event) {
+  if (event.ctrlKey || event.altKey || event.shiftKey || event.metaKey) {
+    return;
+  }
+
+  var action = this.getKeyAction(event);
+  var digit = tv.ui.Document.getActionDigit(action);
+  if (digit != -1) {
+    this.enterDigit(digit);
+  } else if (action == tv.ui.Document.Action.UP) {
+    this.cycleDigit_(1);
+  } else if (action == tv.ui.Document.Action.DOWN) {
+    this.cycleDigit_(-1);
+  } else if (action == tv.ui.Document.Action.DELETE) {
+    this.deleteDigit();
+  } else if (action == tv.ui.Document.Action.SELECT) {
+    this.submit();
+  } else {
+    this.concealDigit_();
+    goog.base(this, 'onKey', event);
+    return;
+  }
+
+  // Editing keys are consumed even when PIN input is locked, so that they
+  // don't leak to ancestors.
+  event.stopPropagation();
+  event.preventDefault();
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.PinInput.prototype.onBlur = function(event) {
+  goog.base(this, 'onBlur', event);
+  this.concealDigit_();
+};
+
+/**
+ * Increments or decrements digit of selected cell, wrapping around. Empty
+ * cell starts from 0 when incremented and from 9 when decremented. Cycled
+ * digit is displayed even in masked PIN input.
+ * @param {number} delta 1 or -1.
+ * @private
+ */
+tv.ui.PinInput.prototype.cycleDigit_ = function(delta) {
+  var index = this.getSelectedIndex_();
+  if (this.isLocked() || index == -1) {
+    return;
+  }
+
+  var digit = this.digits_[index];
+  index != this.revealedIndex_ && this.concealDigit_();
+  this.revealedIndex_ = index;
+  this.setDigit_(index, goog.isDef(digit) ?
+      (digit + delta + 10) % 10 :
+      (delta > 0 ? 0 : 9));
+};
+
+/**
+ * @return {number} Index of selected cell, -1 if there are no cells.
+ * @private
+ */
+tv.ui.PinInput.prototype.getSelectedIndex_ = function() {
+  return goog.array.indexOf(this.getChildren(), this.getSelectedChild());
+};
+
+/**
+ * Selects cell, moving focus to it if PIN input is focused.
+ * @param {number} index Index of cell.
+ * @private
+ */
+tv.ui.PinInput.prototype.selectCell_ = function(index) {
+  var cell = this.getChildren()[index];
+  if (!cell) {
+    return;
+  }
+
+  if (this.isFocused()) {
+    cell.tryFocus();
+  } else {
+    this.setSelectedChild(cell);
+  }
+};
+
+/**
+ * @param {number} index Index of cell.
+ * @param {number|undefined} digit Digit, undefined to empty cell.
+ * @private
+ */
+tv.ui.PinInput.prototype.setDigit_ = function(index, digit) {
+  this.digits_[index] = digit;
+  this.updateCell_(index);
+};
+
+/**
+ * Displays digit of cell.
+ * @param {number} index Index of cell.
+ * @private
+ */
+tv.ui.PinInput.prototype.updateCell_ = function(index) {
+  var cell = this.getChildren()[index];
+  if (!cell) {
+    return;
+  }
+
+  var digit = this.digits_[index];
+  var text = '';
+  if (goog.isDef(digit)) {
+    text = this.isMasked() && index != this.revealedIndex_ ?
+        tv.ui.PinInput.MASK_CHARACTER : String(digit);
+  }
+  goog.dom.setTextContent(cell.getElement(), text);
+  goog.dom.classes.enable(
+      cell.getElement(), tv.ui.PinInput.Class.FILLED_CELL, goog.isDef(digit));
+};
+
+/**
+ * Masks digit of cell that has been revealed by cycling, if any.
+ * @private
+ */
+tv.ui.PinInput.prototype.concealDigit_ = function() {
+  var index = this.revealedIndex_;
+  if (index != -1) {
+    this.revealedIndex_ = -1;
+    this.updateCell_(index);
+  }
+};
+
+/**
+ * Locks PIN input for lockout duration.
+ * @private
+ */
+tv.ui.PinInput.prototype.lock_ = function() {
+  goog.dom.classes.add(this.getElement(), tv.ui.PinInput.Class.LOCKED);
+  this.lockoutTimerId_ = goog.Timer.callOnce(
+      this.unlock_, this.lockoutDuration_, this);
+  this.dispatchEvent(tv.ui.PinInput.EventType.LOCK);
+};
+
+/**
+ * Unlocks PIN input and resets failure count.
+ * @private
+ */
+tv.ui.PinInput.prototype.unlock_ = function() {
+  goog.Timer.clear(this.lockoutTimerId_);
+  this.lockoutTimerId_ = null;
+  this.failureCount_ = 0;
+  goog.dom.classes.remove(this.getElement(), tv.ui.PinInput.Class.LOCKED);
+  this.dispatchEvent(tv.ui.PinInput.EventType.UNLOCK);
+};
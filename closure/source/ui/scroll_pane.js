@@ -16,7 +16,10 @@
  * @fileoverview Scroll pane.
  *
  * Component that enables scrolling of an given element with provided next/prev
- * buttons.
+ * buttons, arrow and page keys, mouse wheel, touch swipes and by dragging
+ * scroll thumb. Arrow keys along scroll direction scroll content while there is
+ * something to scroll in that direction and move focus otherwise. Scroll pane
+ * without buttons is focused itself.
  *
  * Vertical scroll pane means the top property of content element will
  * change for scrolling. Horizontal scroll changes left property.
@@ -40,12 +43,19 @@
  */
 goog.provide('tv.ui.ScrollPane');
 
+goog.require('goog.Timer');
+goog.require('goog.array');
 goog.require('goog.asserts');
 goog.require('goog.dom.classes');
+goog.require('goog.fx.Dragger');
+goog.require('goog.math.Coordinate');
+goog.require('goog.math.Rect');
 goog.require('goog.style');
 goog.require('tv.ui');
 goog.require('tv.ui.Button')
+goog.require('tv.ui.Component');
 goog.require('tv.ui.Container');
+goog.require('tv.ui.Document');
 
 /**
  * Constructs scroll pane.
@@ -126,6 +136,13 @@ tv.ui.registerDecorator(
        tv.ui.ScrollPane.Class.VERTICAL
     ]);
 
+/**
+ * How many pixels is content element scrolled by per row reported by mouse
+ * wheel. Wheels usually report three rows per notch.
+ * @type {number}
+ */
+tv.ui.ScrollPane.WHEEL_ROW_SIZE = 20;
+
 /**
  * Viewport of content.
  * @type {Element}
@@ -152,11 +169,19 @@ tv.ui.ScrollPane.prototype.scrollbarElement_;
 tv.ui.ScrollPane.prototype.scrollThumbElement_;
 
 /**
- * Current scroll offset of content inside viewport.
+ * Current scroll offset of content inside viewport. Differs from displayed
+ * offset while scrolling is animated.
  * @type {number}
  */
 tv.ui.ScrollPane.prototype.scrollOffset_ = 0;
 
+/**
+ * Scroll offset content is displayed at.
+ * @type {number}
+ * @private
+ */
+tv.ui.ScrollPane.prototype.displayedScrollOffset_ = 0;
+
 /**
  * How many pixels is content element going to be scrolled by.
  * @type {number}
@@ -175,6 +200,12 @@ tv.ui.ScrollPane.prototype.viewportSize_;
  */
 tv.ui.ScrollPane.prototype.contentSize_;
 
+/**
+ * Size of scrollbar (width for horizontal scroll, height for vertical).
+ * @type {number}
+ */
+tv.ui.ScrollPane.prototype.scrollbarSize_;
+
 /**
  * Ratio between viewport size and content size.
  * @type {number}
@@ -187,14 +218,50 @@ tv.ui.ScrollPane.prototype.scrollbarRatio_;
  */
 tv.ui.ScrollPane.prototype.contentRatio_;
 
+/**
+ * Makes scroll thumb draggable within scrollbar.
+ * @type {goog.fx.Dragger}
+ * @private
+ */
+tv.ui.ScrollPane.prototype.thumbDragger_;
+
+/**
+ * @type {number}
+ * @private
+ */
+tv.ui.ScrollPane.prototype.swipeIdentifier_;
+
+/**
+ * @type {Array.<{time: number, coordinate: number}>}
+ * @private
+ */
+tv.ui.ScrollPane.prototype.swipeMoves_;
+
+/**
+ * @type {goog.Timer}
+ * @private
+ */
+tv.ui.ScrollPane.prototype.momentumTimer_;
+
+/**
+ * @type {number}
+ * @private
+ */
+tv.ui.ScrollPane.prototype.momentumVelocity_;
 
 /**
  * @inheritDoc
  */
-tv.ui.Container.prototype.disposeInternal = function() {
+tv.ui.ScrollPane.prototype.disposeInternal = function() {
+  this.thumbDragger_ && this.thumbDragger_.dispose();
+  this.momentumTimer_ && this.momentumTimer_.dispose();
+  delete this.thumbDragger_;
+  delete this.momentumTimer_;
+  delete this.swipeMoves_;
+
   delete this.contentElement_;
   delete this.viewportElement_;
-  delete this.scrollElement_;
+  delete this.scrollbarElement_;
   delete this.scrollThumbElement_;
 
   goog.base(this, 'disposeInternal');
@@ -245,33 +312,84 @@ tv.ui.ScrollPane.prototype.decorate = function(element) {
   goog.asserts.assert(!!this.scrollbarElement_, 'No scrollbar element.');
   goog.asserts.assert(!!this.scrollThumbElement_, 'No scroll thumb element');
 
+  this.thumbDragger_ = new goog.fx.Dragger(this.scrollThumbElement_);
+  this.getEventHandler().listen(
+      this.thumbDragger_, goog.fx.Dragger.EventType.DRAG, this.onThumbDrag_);
+
+  this.momentumTimer_ = new goog.Timer(
+      tv.ui.Container.DECELERATION_ANIMATION_INTERVAL);
+  this.getEventHandler().listen(
+      this.momentumTimer_, goog.Timer.TICK, function() {
+        // Velocity is of finger, content is scrolled in opposite direction.
+        this.scrollToOffset_(this.scrollOffset_ - this.momentumVelocity_) ||
+            this.momentumTimer_.stop();
+
+        this.momentumVelocity_ *= 0.95;
+        if (Math.abs(this.momentumVelocity_) < 0.05) {
+          this.momentumTimer_.stop();
+        }
+      });
+
   this.scheduleRender();
 };
 
 /**
  * @inheritDoc
  */
-tv.ui.ScrollPane.prototype.addChild = function(child) {
-  goog.base(this, 'addChild', child);
+tv.ui.ScrollPane.prototype.insertChildAt = function(child, index) {
+  goog.base(this, 'insertChildAt', child, index);
 
   goog.asserts.assert(child instanceof tv.ui.Button,
       'Child components of tv.ui.ScrollPane must be tv.ui.Buttons');
 
-  if (goog.dom.classes.has(child.getElement(),
-      tv.ui.ScrollPane.Class.NEXT)) {
-    this.getEventHandler().listen(
-        child,
-        tv.ui.Button.EventType.ACTION,
-        goog.bind(this.scrollBy_, this, this.scrollDelta_));
-  } else if (goog.dom.classes.has(child.getElement(),
-      tv.ui.ScrollPane.Class.PREV)) {
-    this.getEventHandler().listen(
-        child,
-        tv.ui.Button.EventType.ACTION,
-        goog.bind(this.scrollBy_, this, -this.scrollDelta_));
+  this.getEventHandler().listen(
+      child, tv.ui.Button.EventType.ACTION, this.onChildAction_);
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.ScrollPane.prototype.onChildRemoved = function(child) {
+  goog.base(this, 'onChildRemoved', child);
+
+  this.getEventHandler().unlisten(
+      child, tv.ui.Button.EventType.ACTION, this.onChildAction_);
+};
+
+/**
+ * Scrolls content when next or previous button is pressed.
+ * @param {goog.events.Event} event Action event.
+ * @private
+ */
+tv.ui.ScrollPane.prototype.onChildAction_ = function(event) {
+  var element = event.target.getElement();
+  if (goog.dom.classes.has(element, tv.ui.ScrollPane.Class.NEXT)) {
+    this.scrollBy_(this.scrollDelta_);
+  } else if (goog.dom.classes.has(element, tv.ui.ScrollPane.Class.PREV)) {
+    this.scrollBy_(-this.scrollDelta_);
   }
 };
 
+/**
+ * Scroll pane without child buttons is focused itself.
+ * @inheritDoc
+ */
+tv.ui.ScrollPane.prototype.getSelectedDescendantOrSelf = function(
+    opt_keyCode) {
+  return this.getChildren().length ?
+      goog.base(this, 'getSelectedDescendantOrSelf', opt_keyCode) :
+      tv.ui.Component.prototype.getSelectedDescendantOrSelf.call(this);
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.ScrollPane.prototype.selectFirstDescendant = function() {
+  return this.getChildren().length ?
+      goog.base(this, 'selectFirstDescendant') :
+      tv.ui.Component.prototype.selectFirstDescendant.call(this);
+};
+
 /**
  * @return {boolean} Whether the scroll pane is horizontal.
  */
@@ -281,30 +399,250 @@ tv.ui.ScrollPane.prototype.hasHorizontalScroll = function() {
 };
 
 /**
- * Scrolls content element by given element of pixels.
+ * Handles key event.
+ * Scrolls content with arrow keys along scroll direction and page keys.
+ * Arrow keys are passed to container if there is nothing to scroll in their
+ * direction, so that focus could move away.
+ * @param {goog.events.KeyEvent} event Key event.
+ * @protected
+ */
+tv.ui.ScrollPane.prototype.onKey = function(event) {
+  if (event.ctrlKey || event.altKey || event.shiftKey || event.metaKey) {
+    return;
+  }
+
+  var action = this.getKeyAction(event);
+  var horizontal = this.hasHorizontalScroll();
+  var scrollBy = 0;
+  if (action == (horizontal ?
+      tv.ui.Document.Action.LEFT : tv.ui.Document.Action.UP)) {
+    scrollBy = -this.scrollDelta_;
+  } else if (action == (horizontal ?
+      tv.ui.Document.Action.RIGHT : tv.ui.Document.Action.DOWN)) {
+    scrollBy = this.scrollDelta_;
+  } else if (action == tv.ui.Document.Action.PAGE_UP) {
+    scrollBy = -this.viewportSize_;
+  } else if (action == tv.ui.Document.Action.PAGE_DOWN) {
+    scrollBy = this.viewportSize_;
+  }
+
+  if (scrollBy && this.scrollBy_(scrollBy)) {
+    event.stopPropagation();
+    event.preventDefault();
+    return;
+  }
+
+  goog.base(this, 'onKey', event);
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.ScrollPane.prototype.onMouseWheel = function(event) {
+  // Unlike other containers, scroll pane reacts to wheel in key mode as well.
+  // Most of the mice have only vertical wheel, let it scroll horizontal pane
+  // as well.
+  var rows = this.hasHorizontalScroll() && event.deltaX ?
+      event.deltaX : event.deltaY;
+  if (this.scrollToOffset_(
+      this.scrollOffset_ + rows * tv.ui.ScrollPane.WHEEL_ROW_SIZE)) {
+    // Containers around pane shouldn't react to the same wheel event.
+    event.stopPropagation();
+    event.preventDefault();
+  }
+};
+
+/**
+ * Handles drag event of scroll thumb.
+ * Scrolls content proportionally to thumb position.
+ * @param {goog.fx.DragEvent} event Drag event.
+ * @private
+ */
+tv.ui.ScrollPane.prototype.onThumbDrag_ = function(event) {
+  this.scrollToOffset_((this.hasHorizontalScroll() ? event.left : event.top) *
+      this.scrollbarRatio_);
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.ScrollPane.prototype.onTouchStart = function(event) {
+  goog.base(this, 'onTouchStart', event);
+
+  var touches = event.getBrowserEvent().changedTouches;
+  if (goog.isDef(this.swipeIdentifier_) || touches.length != 1) {
+    return;
+  }
+
+  this.momentumTimer_.stop();
+  // Finger catches content where it's displayed.
+  this.isScrollAnimating() && this.scrollToOffset_(this.displayedScrollOffset_);
+  this.swipeIdentifier_ = touches[0].identifier;
+  this.swipeMoves_ = [];
+  this.addSwipeMove_(this.getSwipeTouch_(event));
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.ScrollPane.prototype.onTouchMove = function(event) {
+  goog.base(this, 'onTouchMove', event);
+
+  var touch = this.getSwipeTouch_(event);
+  if (!touch) {
+    return;
+  }
+
+  // Content follows finger.
+  this.scrollToOffset_(this.scrollOffset_ +
+      this.getLastSwipeMove_().coordinate - this.getSwipeCoordinate_(touch));
+  this.addSwipeMove_(touch);
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.ScrollPane.prototype.onTouchEnd = function(event) {
+  goog.base(this, 'onTouchEnd', event);
+
+  if (!goog.isDef(this.swipeIdentifier_) || this.getSwipeTouch_(event)) {
+    return;
+  }
+
+  if (this.swipeMoves_.length >= 2) {
+    var endTime = goog.now();
+    var endCoordinate = this.getLastSwipeMove_().coordinate;
+
+    var interval = 0;
+    var distance = 0;
+    for (var i = this.swipeMoves_.length - 1; i >= 0; i--) {
+      var possibleInterval = endTime - this.swipeMoves_[i].time;
+      if (possibleInterval >
+          tv.ui.Container.AVERAGE_VELOCITY_CALCULATION_INTERVAL) {
+        break;
+      }
+      interval = possibleInterval;
+      distance = endCoordinate - this.swipeMoves_[i].coordinate;
+    }
+
+    if (interval > 0) {
+      // Initial deceleration velocity should be a velocity of swipe.
+      // Multiplying it by animation interval gets number of pixels to
+      // scroll during single animation frame.
+      this.momentumVelocity_ = distance / interval *
+          tv.ui.Container.DECELERATION_ANIMATION_INTERVAL;
+      this.momentumTimer_.start();
+    }
+  }
+
+  delete this.swipeIdentifier_;
+  delete this.swipeMoves_;
+};
+
+/**
+ * @param {goog.events.Event} event Touch event.
+ * @return {Touch} Touch which initiated swipe, null if event doesn't have it.
+ * @private
+ */
+tv.ui.ScrollPane.prototype.getSwipeTouch_ = function(event) {
+  return /** @type {Touch} */ (goog.array.find(event.getBrowserEvent().touches,
+      function(touch) {
+        return touch.identifier == this.swipeIdentifier_;
+      }, this));
+};
+
+/**
+ * Records touch move for calculation of average speed of swipe.
+ * @param {Touch} touch Touch move.
+ * @private
+ */
+tv.ui.ScrollPane.prototype.addSwipeMove_ = function(touch) {
+  this.swipeMoves_.push({
+    time: goog.now(),
+    coordinate: this.getSwipeCoordinate_(touch)
+  });
+};
+
+/**
+ * @return {{time: number, coordinate: number}} Last recorded touch move.
+ * @private
+ */
+tv.ui.ScrollPane.prototype.getLastSwipeMove_ = function() {
+  return this.swipeMoves_[this.swipeMoves_.length - 1];
+};
+
+/**
+ * @param {Touch} touch Touch move.
+ * @return {number} Page x or y, depending on scroll direction.
+ * @private
+ */
+tv.ui.ScrollPane.prototype.getSwipeCoordinate_ = function(touch) {
+  return this.hasHorizontalScroll() ? touch.pageX : touch.pageY;
+};
+
+/**
+ * Scrolls content element by given element of pixels. Scrolling is animated
+ * if scroll pane has animated scroll.
  * @param {number} scrollBy Number of pixels to scroll content element.
+ * @return {boolean} Whether scroll offset has changed.
  * @private
  */
 tv.ui.ScrollPane.prototype.scrollBy_ = function(scrollBy) {
-  // Nothing to scroll.
-  if (this.contentRatio_ >= 1) {
-    return;
+  return this.scrollToOffset_(this.scrollOffset_ + scrollBy, true);
+};
+
+/**
+ * Scrolls content element to given offset, constrained by content size.
+ * @param {number} scrollOffset Offset of viewport within content in pixels.
+ * @param {boolean=} opt_animate Whether to animate scrolling if scroll pane
+ *     has animated scroll. Scrolling happens at once otherwise, stopping
+ *     animation in progress.
+ * @return {boolean} Whether scroll offset has changed.
+ * @private
+ */
+tv.ui.ScrollPane.prototype.scrollToOffset_ = function(
+    scrollOffset, opt_animate) {
+  // Nothing to scroll, or content hasn't been measured yet.
+  if (!(this.contentRatio_ < 1)) {
+    return false;
   }
 
+  var previousScrollOffset = this.scrollOffset_;
   this.scrollOffset_ = Math.min(
       this.contentSize_ - this.viewportSize_,
-      Math.max(this.scrollOffset_ + scrollBy, 0));
+      Math.max(scrollOffset, 0));
+
+  if (!opt_animate || !this.isScrollAnimated()) {
+    this.stopScrollAnimation();
+    this.setDisplayedScrollOffset_(this.scrollOffset_);
+  } else if (this.scrollOffset_ != previousScrollOffset) {
+    // New key may arrive in the middle of animation, then scrolling continues
+    // from displayed offset towards new one.
+    this.animateScroll(this.displayedScrollOffset_, this.scrollOffset_,
+        this.setDisplayedScrollOffset_);
+  }
+
+  return this.scrollOffset_ != previousScrollOffset;
+};
+
+/**
+ * Sets displayed position of content and scroll thumb.
+ * @param {number} scrollOffset Offset of viewport within content in pixels.
+ * @private
+ */
+tv.ui.ScrollPane.prototype.setDisplayedScrollOffset_ = function(scrollOffset) {
+  this.displayedScrollOffset_ = scrollOffset;
 
   var contentCoords = new goog.math.Coordinate(
-      this.hasHorizontalScroll() ? -this.scrollOffset_ : 0,
-      this.hasHorizontalScroll() ? 0 : -this.scrollOffset_)
+      this.hasHorizontalScroll() ? -scrollOffset : 0,
+      this.hasHorizontalScroll() ? 0 : -scrollOffset)
   goog.style.setPosition(this.contentElement_, contentCoords);
 
   var thumbCoords = new goog.math.Coordinate(
       this.hasHorizontalScroll() ?
-          this.scrollOffset_ / this.scrollbarRatio_ : 0,
+          scrollOffset / this.scrollbarRatio_ : 0,
       this.hasHorizontalScroll() ?
-          0 : this.scrollOffset_ / this.scrollbarRatio_);
+          0 : scrollOffset / this.scrollbarRatio_);
   goog.style.setPosition(this.scrollThumbElement_, thumbCoords);
 };
 
@@ -312,14 +650,13 @@ tv.ui.ScrollPane.prototype.scrollBy_ = function(scrollBy) {
  * Computes all values needed for scroll:
  *  - viewportSize_ - scroll window size,
  *  - contentSize_ - content size,
+ *  - scrollbarSize_ - scrollbar size,
  *  - contentRatio_ and scrollbarRatio_.
  *
- * Sets size of scroll thumb. Hides scrollbar if no scroll is needed.
- *
  * @inheritDoc
  */
-tv.ui.ScrollPane.prototype.render = function() {
-  goog.base(this, 'render');
+tv.ui.ScrollPane.prototype.measure = function() {
+  goog.base(this, 'measure');
 
   this.viewportSize_ = this.hasHorizontalScroll() ?
       goog.style.getSize(this.viewportElement_).width :
@@ -327,12 +664,23 @@ tv.ui.ScrollPane.prototype.render = function() {
   this.contentSize_ = this.hasHorizontalScroll() ?
       this.contentElement_.scrollWidth :
       this.contentElement_.scrollHeight;
-  var scrollbarSize = this.hasHorizontalScroll() ?
+  this.scrollbarSize_ = this.hasHorizontalScroll() ?
       goog.style.getSize(this.scrollbarElement_).width :
       goog.style.getSize(this.scrollbarElement_).height;
 
   this.contentRatio_ = this.viewportSize_ / this.contentSize_;
-  this.scrollbarRatio_ = this.contentSize_ / scrollbarSize;
+  this.scrollbarRatio_ = this.contentSize_ / this.scrollbarSize_;
+};
+
+/**
+ * Sets size of scroll thumb. Hides scrollbar if no scroll is needed.
+ *
+ * @inheritDoc
+ */
+tv.ui.ScrollPane.prototype.render = function() {
+  goog.base(this, 'render');
+
+  var scrollbarSize = this.scrollbarSize_;
 
   // Nothing to scroll?
   var nothingToScroll = (this.contentRatio_ >= 1);
@@ -351,5 +699,13 @@ tv.ui.ScrollPane.prototype.render = function() {
     goog.style.setHeight(this.scrollThumbElement_, thumbSize);
   }
 
-  this.scrollBy_(0);
+  // Thumb is dragged along scrollbar only.
+  var thumbRange = Math.max(0, scrollbarSize - thumbSize);
+  this.thumbDragger_.setLimits(this.hasHorizontalScroll() ?
+      new goog.math.Rect(0, 0, thumbRange, 0) :
+      new goog.math.Rect(0, 0, 0, thumbRange));
+  this.thumbDragger_.setEnabled(!nothingToScroll);
+
+  // Sizes might have changed, so position content at once.
+  this.scrollToOffset_(this.scrollOffset_);
 };
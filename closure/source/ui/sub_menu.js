@@ -14,15 +14,16 @@
 
 /**
  * @fileoverview Sub-menu is a container which has exactly one button and one
- * menu. If button is pressed, menu gets focused. If Esc key is pressed while
+ * menu. If button is pressed, menu gets focused. If Back key is pressed while
  * menu is focused, focus is brought back to button. Menu could also contain
  * special back button which is marked with CSS class. Pressing back button in
- * menu is analogous to pressing Esc.
+ * menu is analogous to pressing Back key.
  */
 goog.provide('tv.ui.SubMenu');
 
 goog.require('goog.functions');
 goog.require('tv.ui.Container');
+goog.require('tv.ui.Document');
 
 /**
  * Constructs menu.
@@ -84,8 +85,8 @@ tv.ui.SubMenu.prototype.getClass = function() {
 /**
  * @inheritDoc
  */
-tv.ui.SubMenu.prototype.addChild = function(child) {
-  goog.base(this, 'addChild', child);
+tv.ui.SubMenu.prototype.insertChildAt = function(child, index) {
+  goog.base(this, 'insertChildAt', child, index);
 
   if (child instanceof tv.ui.Button) {
     goog.asserts.assert(
@@ -98,11 +99,24 @@ tv.ui.SubMenu.prototype.addChild = function(child) {
   }
 };
 
+/**
+ * @inheritDoc
+ */
+tv.ui.SubMenu.prototype.onChildRemoved = function(child) {
+  goog.base(this, 'onChildRemoved', child);
+
+  if (child == this.button_) {
+    delete this.button_;
+  } else if (child == this.menu_) {
+    delete this.menu_;
+  }
+};
+
 /**
  * @inheritDoc
  */
 tv.ui.SubMenu.prototype.onKey = function(event) {
-  if (event.keyCode == goog.events.KeyCodes.ESC &&
+  if (this.getKeyAction(event) == tv.ui.Document.Action.BACK &&
       !event.ctrlKey &&
       !event.altKey &&
       !event.shiftKey &&
@@ -111,6 +125,7 @@ tv.ui.SubMenu.prototype.onKey = function(event) {
       this.button_ &&
       this.button_.tryFocus()) {
     event.stopPropagation();
+    event.preventDefault();
     return;
   }
 
@@ -0,0 +1,380 @@
+// Copyright 2011 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Autocomplete suggestions for text input. Suggestion list is a
+ * vertical container of buttons, usually placed right after input within
+ * vertical container, so that Down key moves focus from input to suggestions.
+ * Suggestions are requested from matcher when user stops typing. Matchers of
+ * goog.ui.AutoComplete, such as goog.ui.AutoComplete.ArrayMatcher, can be
+ * used for local suggestions, tv.ui.SuggestionList.JsonpMatcher for remote
+ * ones. List is hidden while there are no suggestions.
+ */
+goog.provide('tv.ui.SuggestionList');
+goog.provide('tv.ui.SuggestionList.JsonpMatcher');
+
+goog.require('goog.Timer');
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.dom.classes');
+goog.require('goog.events.InputHandler');
+goog.require('goog.net.Jsonp');
+goog.require('tv.ui');
+goog.require('tv.ui.Button');
+goog.require('tv.ui.Container');
+goog.require('tv.ui.Input');
+goog.require('tv.ui.ListModel');
+
+/**
+ * Constructs suggestion list.
+ * @constructor
+ * @extends {tv.ui.Container}
+ */
+tv.ui.SuggestionList = function() {
+  goog.base(this);
+};
+goog.inherits(tv.ui.SuggestionList, tv.ui.Container);
+
+/**
+ * @type {string} Main CSS class that triggers decoration.
+ */
+tv.ui.SuggestionList.CLASS = 'tv-suggestion-list';
+tv.ui.registerDecorator(tv.ui.SuggestionList, tv.ui.SuggestionList.CLASS);
+
+/**
+ * CSS classes that reflect look of suggestion list.
+ * @enum {string}
+ */
+tv.ui.SuggestionList.Class = {
+  /**
+   * Applied to generated suggestion elements.
+   */
+  ITEM: 'tv-suggestion-list-item'
+};
+
+/**
+ * Default time in milliseconds since last input after which suggestions are
+ * requested.
+ * @type {number}
+ */
+tv.ui.SuggestionList.DEFAULT_REQUEST_DELAY = 300;
+
+/**
+ * Default maximum number of suggestions.
+ * @type {number}
+ */
+tv.ui.SuggestionList.DEFAULT_MAX_MATCHES = 10;
+
+/**
+ * @type {tv.ui.Input}
+ * @private
+ */
+tv.ui.SuggestionList.prototype.input_;
+
+/**
+ * Handles input events of attached input.
+ * @type {goog.events.InputHandler}
+ * @private
+ */
+tv.ui.SuggestionList.prototype.inputHandler_;
+
+/**
+ * Provides suggestions, has the same interface as goog.ui.AutoComplete
+ * matchers.
+ * @type {{requestMatchingRows: Function}}
+ * @private
+ */
+tv.ui.SuggestionList.prototype.matcher_;
+
+/**
+ * Suggestions being shown.
+ * @type {tv.ui.ListModel}
+ * @private
+ */
+tv.ui.SuggestionList.prototype.suggestions_;
+
+/**
+ * Text suggestions have been last requested for.
+ * @type {string}
+ * @private
+ */
+tv.ui.SuggestionList.prototype.token_ = '';
+
+/**
+ * @type {number}
+ * @private
+ */
+tv.ui.SuggestionList.prototype.requestDelay_ =
+    tv.ui.SuggestionList.DEFAULT_REQUEST_DELAY;
+
+/**
+ * @type {number}
+ * @private
+ */
+tv.ui.SuggestionList.prototype.maxMatches_ =
+    tv.ui.SuggestionList.DEFAULT_MAX_MATCHES;
+
+/**
+ * Identifier of timer that requests suggestions.
+ * @type {?number}
+ * @private
+ */
+tv.ui.SuggestionList.prototype.requestTimerId_ = null;
+
+/**
+ * @inheritDoc
+ */
+tv.ui.SuggestionList.prototype.getClass = function() {
+  return tv.ui.SuggestionList.CLASS;
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.SuggestionList.prototype.decorate = function(element) {
+  goog.dom.classes.add(element, tv.ui.Container.Class.VERTICAL);
+  goog.base(this, 'decorate', element);
+
+  this.suggestions_ = new tv.ui.ListModel();
+  this.setModel(this.suggestions_, tv.ui.SuggestionList.renderSuggestion_);
+  this.setVisible(false);
+
+  this.getEventHandler().listen(
+      this, tv.ui.Button.EventType.ACTION, this.onAction_);
+};
+
+/**
+ * @inheritDoc
+ */
+tv.ui.SuggestionList.prototype.disposeInternal = function() {
+  this.setInput(null);
+  goog.base(this, 'disposeInternal');
+
+  this.suggestions_.dispose();
+  delete this.suggestions_;
+  delete this.matcher_;
+};
+
+/**
+ * Renders suggestion as button.
+ * @param {*} suggestion Suggestion returned by matcher.
+ * @param {Element=} opt_element Element to update.
+ * @return {Element} Suggestion element.
+ * @private
+ */
+tv.ui.SuggestionList.renderSuggestion_ = function(suggestion, opt_element) {
+  var element = opt_element || goog.dom.createDom('div', [
+    tv.ui.Button.CLASS,
+    tv.ui.SuggestionList.Class.ITEM
+  ].join(' '));
+  goog.dom.setTextContent(element, String(suggestion));
+  return element;
+};
+
+/**
+ * @return {tv.ui.Input} Input suggestions are shown for.
+ */
+tv.ui.SuggestionList.prototype.getInput = function() {
+  return this.input_ || null;
+};
+
+/**
+ * Attaches suggestion list to input.
+ * @param {tv.ui.Input} input Input to show suggestions for, null to detach.
+ */
+tv.ui.SuggestionList.prototype.setInput = function(input) {
+  if (this.inputHandler_) {
+    this.inputHandler_.dispose();
+    delete this.inputHandler_;
+  }
+  this.input_ = input;
+  this.setToken_('');
+
+  if (input) {
+    this.inputHandler_ = new goog.events.InputHandler(input.getInputElement());
+    this.getEventHandler().listen(
+        this.inputHandler_,
+        goog.events.InputHandler.EventType.INPUT,
+        this.onInput_);
+  }
+};
+
+/**
+ * Sets provider of suggestions.
+ * @param {{requestMatchingRows: Function}} matcher Object with the same
+ *     interface as goog.ui.AutoComplete matchers.
+ */
+tv.ui.SuggestionList.prototype.setMatcher = function(matcher) {
+  this.matcher_ = matcher;
+};
+
+/**
+ * Sets time since last input after which suggestions are requested.
+ * @param {number} requestDelay Delay in milliseconds.
+ */
+tv.ui.SuggestionList.prototype.setRequestDelay = function(requestDelay) {
+  this.requestDelay_ = requestDelay;
+};
+
+/**
+ * Sets maximum number of suggestions requested from matcher.
+ * @param {number} maxMatches Number of suggestions.
+ */
+tv.ui.SuggestionList.prototype.setMaxMatches = function(maxMatches) {
+  this.maxMatches_ = maxMatches;
+};
+
+/**
+ * Handles input event of attached input.
+ * Requests suggestions once user stops typing.
+ * @param {goog.events.BrowserEvent} event Input event.
+ * @private
+ */
+tv.ui.SuggestionList.prototype.onInput_ = function(event) {
+  goog.Timer.clear(this.requestTimerId_);
+  if (!this.input_.getValue()) {
+    this.setToken_('');
+    return;
+  }
+
+  this.requestTimerId_ = goog.Timer.callOnce(function() {
+    this.requestTimerId_ = null;
+    this.setToken_(this.input_.getValue());
+  }, this.requestDelay_, this);
+};
+
+/**
+ * Requests suggestions for given text. Suggestions are cleared if text is
+ * empty.
+ * @param {string} token Text to request suggestions for.
+ * @private
+ */
+tv.ui.SuggestionList.prototype.setToken_ = function(token) {
+  if (!token) {
+    goog.Timer.clear(this.requestTimerId_);
+    this.requestTimerId_ = null;
+  }
+  if (token == this.token_) {
+    return;
+  }
+
+  this.token_ = token;
+  if (token && this.matcher_) {
+    this.matcher_.requestMatchingRows(
+        token, this.maxMatches_, goog.bind(this.onMatch_, this), token);
+  } else {
+    this.onMatch_(token, []);
+  }
+};
+
+/**
+ * Shows suggestions provided by matcher.
+ * @param {string} token Text suggestions are provided for.
+ * @param {Array} suggestions Suggestions.
+ * @private
+ */
+tv.ui.SuggestionList.prototype.onMatch_ = function(token, suggestions) {
+  // Ignore stale responses and ones which arrive after disposal.
+  if (token != this.token_ || this.isDisposed()) {
+    return;
+  }
+
+  // Suggestions are tracked by identity, so they should be unique.
+  suggestions = goog.array.clone(suggestions);
+  goog.array.removeDuplicates(suggestions);
+  this.suggestions_.reset(suggestions);
+  this.setVisible(suggestions.length > 0);
+};
+
+/**
+ * Handles action event of suggestion.
+ * Fills input with suggestion and submits it.
+ * @param {goog.events.Event} event Action event.
+ * @private
+ */
+tv.ui.SuggestionList.prototype.onAction_ = function(event) {
+  var suggestion = this.suggestions_.getItemAt(this.getItemIndex(
+      /** @type {tv.ui.Component} */(event.target)));
+  if (!goog.isDef(suggestion) || !this.input_) {
+    return;
+  }
+  event.stopPropagation();
+
+  // Focus input before suggestions are cleared, so that focus doesn't go
+  // elsewhere.
+  var input = this.input_;
+  var value = String(suggestion);
+  input.setValue(value);
+  input.tryFocus();
+  this.token_ = value;
+  this.onMatch_(value, []);
+  input.submit();
+};
+
+/**
+ * Constructs matcher which requests suggestions from JSONP endpoint. Response
+ * should be either an array of suggestions or, as in OpenSearch suggestions
+ * format, an array whose second element is an array of suggestions.
+ * @param {string} uri URI of endpoint.
+ * @param {string=} opt_queryParamName Name of parameter that holds text,
+ *     'q' by default.
+ * @param {string=} opt_callbackParamName Name of parameter that holds name of
+ *     callback, 'callback' by default.
+ * @constructor
+ */
+tv.ui.SuggestionList.JsonpMatcher = function(
+    uri, opt_queryParamName, opt_callbackParamName) {
+  /**
+   * @type {goog.net.Jsonp}
+   * @private
+   */
+  this.jsonp_ = new goog.net.Jsonp(uri, opt_callbackParamName);
+
+  /**
+   * @type {string}
+   * @private
+   */
+  this.queryParamName_ = opt_queryParamName || 'q';
+};
+
+/**
+ * Request in progress.
+ * @type {Object}
+ * @private
+ */
+tv.ui.SuggestionList.JsonpMatcher.prototype.request_ = null;
+
+/**
+ * Requests suggestions, cancelling previous request.
+ * @param {string} token Text to request suggestions for.
+ * @param {number} maxMatches Maximum number of suggestions.
+ * @param {Function} matchHandler Called with token and array of suggestions.
+ *     Failed request results in no suggestions.
+ * @param {string=} opt_fullString Complete text of input.
+ */
+tv.ui.SuggestionList.JsonpMatcher.prototype.requestMatchingRows = function(
+    token, maxMatches, matchHandler, opt_fullString) {
+  this.request_ && this.jsonp_.cancel(this.request_);
+
+  var payload = {};
+  payload[this.queryParamName_] = token;
+  this.request_ = this.jsonp_.send(payload, goog.bind(function(response) {
+    this.request_ = null;
+    var suggestions = goog.isArray(response[1]) ? response[1] : response;
+    matchHandler(token, goog.array.slice(suggestions, 0, maxMatches));
+  }, this), goog.bind(function() {
+    this.request_ = null;
+    matchHandler(token, []);
+  }, this));
+};
@@ -108,8 +108,8 @@ tv.ui.TabContainer.prototype.getClass = function() {
 /**
  * @inheritDoc
  */
-tv.ui.TabContainer.prototype.addChild = function(child) {
-  goog.base(this, 'addChild', child);
+tv.ui.TabContainer.prototype.insertChildAt = function(child, index) {
+  goog.base(this, 'insertChildAt', child, index);
 
   if (goog.dom.classes.has(
       child.getElement(), tv.ui.TabContainer.Class.BAR)) {
@@ -136,6 +136,31 @@ tv.ui.TabContainer.prototype.addChild = function(child) {
   }
 };
 
+/**
+ * @inheritDoc
+ */
+tv.ui.TabContainer.prototype.onChildRemoved = function(child) {
+  goog.base(this, 'onChildRemoved', child);
+
+  if (child == this.barContainer_) {
+    this.getEventHandler().unlisten(
+        this.barContainer_,
+        tv.ui.Container.EventType.SELECT_CHILD,
+        this.onBarSelectChild);
+    this.getEventHandler().unlisten(
+        this.barContainer_,
+        tv.ui.Component.EventType.FOCUS,
+        this.onBarFocus);
+    delete this.barContainer_;
+  } else if (child == this.contentContainer_) {
+    this.getEventHandler().unlisten(
+        this.contentContainer_,
+        tv.ui.Container.EventType.SELECT_CHILD,
+        this.onContentSelectChild);
+    delete this.contentContainer_;
+  }
+};
+
 /**
  * @inheritDoc
  */
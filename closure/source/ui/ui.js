@@ -19,6 +19,7 @@
 // constructor and remove setters for final properties.
 goog.provide('tv.ui');
 
+goog.require('goog.Timer');
 goog.require('goog.array');
 goog.require('goog.dom');
 
@@ -112,50 +113,113 @@ tv.ui.decorateChildren = function(element, opt_handler, opt_parentContainer) {
 };
 
 /**
- * Number of recursive calls to postponeRender() function.
- * @type {number}
+ * Components scheduled for rendering at next animation frame.
+ * @type {Array.<tv.ui.Component>}
  * @private
  */
-tv.ui.postponeRenderCount_ = 0;
+tv.ui.componentsScheduledRender_ = [];
 
 /**
- * List of components requested rendering.
- * @type {Array.<tv.ui.Component>}
+ * Whether animation frame has been requested for rendering.
+ * @type {boolean}
  * @private
  */
-tv.ui.componentsScheduledRender_;
+tv.ui.renderFrameRequested_ = false;
 
 /**
- * Postpones all rendering in components until given function exits.
- * Allows to minimize number of layouts and style recalculations in browser.
- * @param {Function} f Function to call, usually causing massive rendering.
+ * Calls given function. Rendering is always postponed until next animation
+ * frame, so there is no need to postpone it explicitly anymore.
+ * @param {Function} f Function to call.
  * @param {Object} opt_context Context to call function in.
+ * @deprecated Call function directly.
  */
 tv.ui.postponeRender = function(f, opt_context) {
-  if (tv.ui.postponeRenderCount_++ == 0) {
-    tv.ui.componentsScheduledRender_ = [];
+  f.call(opt_context);
+};
+
+/**
+ * Schedules rendering of component at next animation frame. All components
+ * scheduled within one frame are rendered together, so that browser lays page
+ * out only once.
+ * @param {tv.ui.Component} component Component to render.
+ */
+tv.ui.scheduleRender = function(component) {
+  tv.ui.componentsScheduledRender_.push(component);
+  if (!tv.ui.renderFrameRequested_) {
+    tv.ui.renderFrameRequested_ = true;
+    tv.ui.requestAnimationFrame(tv.ui.onRenderFrame_);
   }
+};
 
-  f.call(opt_context);
+/**
+ * Renders components scheduled since last animation frame.
+ * @private
+ */
+tv.ui.onRenderFrame_ = function() {
+  tv.ui.renderFrameRequested_ = false;
+  tv.ui.flushRender();
+};
 
-  if (--tv.ui.postponeRenderCount_ == 0) {
-    goog.array.forEach(tv.ui.componentsScheduledRender_, function(component) {
-      component.render();
-    });
-    delete tv.ui.componentsScheduledRender_;
+/**
+ * Renders scheduled components immediately rather than at next animation
+ * frame. Rendering is done in two phases: every component measures layout
+ * first, then every component updates styles, so that reads and writes of
+ * layout don't interleave and cause extra layouts. Components scheduled for
+ * rendering during flush are rendered within it as well. Mostly useful in
+ * tests.
+ */
+tv.ui.flushRender = function() {
+  while (tv.ui.componentsScheduledRender_.length) {
+    var components = tv.ui.componentsScheduledRender_;
+    tv.ui.componentsScheduledRender_ = [];
+    var measuredCount = 0;
+    var renderedCount = 0;
+
+    try {
+      // Components could be disposed after they have scheduled rendering.
+      for (; measuredCount < components.length; measuredCount++) {
+        var component = components[measuredCount];
+        component.isDisposed() || component.measure();
+      }
+      for (; renderedCount < components.length; renderedCount++) {
+        component = components[renderedCount];
+        component.isDisposed() || component.render();
+      }
+    } finally {
+      // If one of components has thrown, the rest still consider themselves
+      // scheduled and wouldn't schedule rendering again, so do it for them.
+      // Component that has thrown is dropped, otherwise it would throw at
+      // every frame.
+      var failedIndex = measuredCount < components.length ?
+          measuredCount : renderedCount;
+      for (var i = renderedCount; i < components.length; i++) {
+        components[i].unscheduleRender();
+        i == failedIndex || components[i].scheduleRender();
+      }
+    }
   }
 };
 
 /**
- * Schedules rendering of component if rendering is postponed and performes
- * rendering immediately otherwise.
- * @param {tv.ui.Component} component Component to render.
+ * Delay in milliseconds used instead of animation frame in browsers that don't
+ * support them.
+ * @type {number}
  */
-tv.ui.scheduleRender = function(component) {
-  if (tv.ui.postponeRenderCount_ == 0) {
-    component.render();
+tv.ui.ANIMATION_FRAME_INTERVAL = 16;
+
+/**
+ * Calls function right before next repaint of browser window.
+ * @param {Function} f Function to call.
+ * @param {Object} opt_context Context to call function in.
+ */
+tv.ui.requestAnimationFrame = function(f, opt_context) {
+  var requestAnimationFrame = window.requestAnimationFrame ||
+      window.webkitRequestAnimationFrame ||
+      window.mozRequestAnimationFrame;
+  if (requestAnimationFrame) {
+    requestAnimationFrame.call(window, goog.bind(f, opt_context));
   } else {
-    tv.ui.componentsScheduledRender_.push(component);
+    goog.Timer.callOnce(f, tv.ui.ANIMATION_FRAME_INTERVAL, opt_context);
   }
 };
 